@@ -0,0 +1,582 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { parseArgs } = require('util');
+const MicroCMSQiitaSync = require('./sync-microcms-to-qiita');
+const { logger } = require('./utils/logger');
+const { categorizeError, describeError } = require('./utils/sync-report');
+
+// 終了コード（diff は diff コマンドと同じく、差分ありを 1・比較できなかった場合を 2 とする）
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// import で既定で結び付ける候補の信頼度
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+
+// 引数の誤り（ヘルプを案内して EXIT_USAGE で終了する）
+class UsageError extends Error {}
+
+// 全コマンド共通のオプション
+const COMMON_OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  'log-level': { type: 'string' },
+  'log-format': { type: 'string' }
+};
+
+const COMMON_HELP = `
+  --log-level=LEVEL   quiet | info | debug (default: LOG_LEVEL or info)
+  --log-format=FORMAT text | json (default: LOG_FORMAT or text)
+  -h, --help          Show help for the command`;
+
+const COMMANDS = {
+  sync: {
+    summary: 'Sync published microCMS articles to Qiita',
+    usage: 'sync [options]',
+    args: [],
+    options: {
+      only: { type: 'string', multiple: true },
+      limit: { type: 'string' },
+      since: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      yes: { type: 'boolean', short: 'y' },
+      incremental: { type: 'boolean' },
+      're-render': { type: 'boolean' },
+      recover: { type: 'boolean' },
+      'output-dir': { type: 'string' },
+      'orphan-policy': { type: 'string' },
+      'force-orphans': { type: 'boolean' },
+      'drift-policy': { type: 'string' },
+      'check-drift': { type: 'boolean' }
+    },
+    help: `
+  --only=ID[,ID...]     Sync only these articles (history keys, see "status")
+  --limit=N             Maximum number of articles to create or update (default: 50)
+  --since=DATE          Fetch only articles updated after DATE
+  --dry-run             Write the plan and the Markdown without calling Qiita
+  -y, --yes             Do not ask before sending articles to Qiita (required without a terminal)
+  --incremental         Fetch only articles updated since the last sync
+  --re-render           Rebuild every article and update those whose output changed
+  --recover             Look for Qiita items that were created but not recorded
+  --output-dir=DIR      Dry-run output directory (default: dry-run)
+  --orphan-policy=NAME  report | private | delete (default: ORPHAN_POLICY or report)
+  --force-orphans       Disable the orphan safety limit
+  --drift-policy=NAME   overwrite | skip | fail (default: DRIFT_POLICY or fail)
+  --check-drift         Only report Qiita-side edits and reactions`,
+    notes: '--only and --since do not move the incremental sync cursor.',
+    run: runSync
+  },
+  status: {
+    summary: 'Show the sync history and which articles are out of date',
+    usage: 'status',
+    args: [],
+    options: {},
+    help: '',
+    run: runStatus
+  },
+  preview: {
+    summary: 'Render the Markdown that would be sent to Qiita',
+    usage: 'preview <id> [--output=FILE]',
+    args: ['id'],
+    options: {
+      output: { type: 'string', short: 'o' }
+    },
+    help: `
+  -o, --output=FILE   Write the Markdown to FILE instead of stdout`,
+    notes: 'Exits with 1 when the article would be rejected by the pre-flight checks.',
+    run: runPreview
+  },
+  diff: {
+    summary: 'Compare the rendered article with the live Qiita item',
+    usage: 'diff <id>',
+    args: ['id'],
+    options: {},
+    help: '',
+    notes: 'Exits with 0 when identical, 1 when they differ and 2 when they cannot be compared.',
+    failureCode: EXIT_USAGE,
+    run: runDiff
+  },
+  unlink: {
+    summary: 'Remove an article from the sync history (the Qiita item is kept)',
+    usage: 'unlink <id>',
+    args: ['id'],
+    options: {},
+    help: '',
+    run: runUnlink
+  },
+  import: {
+    summary: 'Find your existing Qiita items and link them to unlinked articles',
+    usage: 'import [options]',
+    args: [],
+    options: {
+      mapping: { type: 'string' },
+      only: { type: 'string', multiple: true },
+      'min-confidence': { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      yes: { type: 'boolean', short: 'y' }
+    },
+    help: `
+  --mapping=FILE          JSON file of { "article ID": "Qiita item ID" } pairs to link as they are
+  --only=ID[,ID...]       Look for matches for these articles only
+  --min-confidence=N      Link matches with at least this confidence, 0 to 1 (default: ${DEFAULT_MIN_CONFIDENCE})
+  --dry-run               Show the proposed matches without writing the history
+  -y, --yes               Do not ask before writing the history (required without a terminal)`,
+    notes: 'Matches come from the mapping file, the original URL in the Qiita body and title similarity.\nLinked items are updated by the next sync instead of being posted again.',
+    run: runImport
+  },
+  relink: {
+    summary: 'Link an article to an existing Qiita item',
+    usage: 'relink <id> <qiita-id>',
+    args: ['id', 'qiita-id'],
+    options: {},
+    help: '',
+    run: runRelink
+  },
+  queue: {
+    summary: 'List, reorder and postpone new articles waiting in the publish queue',
+    usage: 'queue [list | move <id> <position> | postpone <id> <date | Nd | none>]',
+    // 末尾が ? の引数は省略できる
+    args: ['action?', 'id?', 'value?'],
+    options: {},
+    help: '',
+    notes: 'The queue is used when PUBLISH_DAILY_LIMIT is set. "postpone <id> 3d" waits three days, "none" cancels.',
+    run: runQueue
+  }
+};
+
+function printHelp(name) {
+  const command = COMMANDS[name];
+
+  if (command) {
+    console.log(`
+${command.summary}
+
+Usage: node scripts/cli.js ${command.usage}
+
+Options:${command.help}${COMMON_HELP}
+${command.notes ? `\n${command.notes}\n` : ''}`);
+    return;
+  }
+
+  const width = Math.max(...Object.keys(COMMANDS).map(key => key.length));
+  console.log(`
+🔄 microCMS to Qiita Sync - Usage
+
+node scripts/cli.js <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([key, { summary }]) => `  ${key.padEnd(width)}  ${summary}`).join('\n')}
+  ${'help'.padEnd(width)}  Show help for a command
+
+Exit codes: 0 success, 1 failure, 2 invalid arguments
+Run "node scripts/cli.js help <command>" for the options of each command.
+`);
+}
+
+async function run(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    printHelp(rest[0]);
+    return name ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const command = COMMANDS[name];
+
+  try {
+    if (!command) {
+      throw new UsageError(`Unknown command: ${name}`);
+    }
+
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: { ...COMMON_OPTIONS, ...command.options },
+      allowPositionals: true,
+      strict: true
+    });
+
+    if (values.help) {
+      printHelp(name);
+      return EXIT_OK;
+    }
+
+    const requiredArgs = command.args.filter(arg => !arg.endsWith('?')).length;
+    if (positionals.length < requiredArgs || positionals.length > command.args.length) {
+      throw new UsageError(`Usage: node scripts/cli.js ${command.usage}`);
+    }
+
+    try {
+      logger.configure({
+        level: values['log-level'] || process.env.LOG_LEVEL || 'info',
+        format: values['log-format'] || process.env.LOG_FORMAT || 'text',
+        stdout: process.stdout
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    return await command.run(values, positionals);
+
+  } catch (error) {
+    // parseArgs の引数エラーも使い方の誤りとして扱う
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`❌ ${error.message}`);
+      console.error(`Run "node scripts/cli.js help${command ? ` ${name}` : ''}" for usage.`);
+      return EXIT_USAGE;
+    }
+
+    logger.error(`❌ ${name} failed: ${describeError(error)}`, { errorCategory: categorizeError(error) });
+    return command.failureCode ?? EXIT_FAILURE;
+  }
+}
+
+function parsePositiveInteger(value, option) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`${option} must be a positive integer`);
+  }
+
+  return number;
+}
+
+function parseDate(value, option) {
+  if (value === undefined) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UsageError(`${option} must be a date (e.g. 2024-01-31 or 2024-01-31T09:00:00+09:00)`);
+  }
+
+  return date.toISOString();
+}
+
+function parseConfidence(value, option) {
+  if (value === undefined) {
+    return DEFAULT_MIN_CONFIDENCE;
+  }
+
+  const number = Number(value);
+  if (value.trim() === '' || Number.isNaN(number) || number < 0 || number > 1) {
+    throw new UsageError(`${option} must be a number between 0 and 1`);
+  }
+
+  return number;
+}
+
+// --only=a,b --only=c → ['a', 'b', 'c']（指定がなければ null）
+function parseIdList(values) {
+  return values
+    ? values.flatMap(value => value.split(',')).map(id => id.trim()).filter(Boolean)
+    : null;
+}
+
+// 確認の入力を受け付けられない環境（CIなど）では、--yes がなければ実行しない
+function requireConfirmation(values, action) {
+  if (!values.yes && !process.stdin.isTTY) {
+    throw new UsageError(`Cannot ask for confirmation without a terminal; pass --yes to ${action} without asking`);
+  }
+}
+
+async function askYesNo(question) {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await prompt.question(`${question} (y/N) `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
+  }
+}
+
+// 投稿・更新する記事を一覧表示し、続けてよいか確認する
+async function confirmSync(pending) {
+  logger.table('\n📝 Articles to send to Qiita:', pending.map(({ article, action, syncDecision }) => ({
+    ID: article.id,
+    Action: action,
+    Title: article.title,
+    Qiita: syncDecision.qiitaId || '-'
+  })));
+
+  return askYesNo(`⚠️  Send ${pending.length} article(s) to Qiita?`);
+}
+
+async function runSync(values) {
+  const maxArticles = parsePositiveInteger(values.limit, '--limit');
+  const since = parseDate(values.since, '--since');
+  const only = parseIdList(values.only);
+  const dryRun = Boolean(values['dry-run']);
+
+  if (!dryRun && !values['check-drift']) {
+    requireConfirmation(values, 'sync');
+  }
+
+  const sync = new MicroCMSQiitaSync();
+
+  // Qiita上の直接編集と反応を確認するだけのモード
+  if (values['check-drift']) {
+    await sync.reportDrift();
+    return EXIT_OK;
+  }
+
+  const { exitCode } = await sync.syncArticles({
+    incremental: Boolean(values.incremental),
+    maxArticles,
+    dryRun,
+    reRender: Boolean(values['re-render']),
+    orphanPolicy: values['orphan-policy'] || process.env.ORPHAN_POLICY || 'report',
+    forceOrphans: Boolean(values['force-orphans']),
+    driftPolicy: values['drift-policy'] || process.env.DRIFT_POLICY || 'fail',
+    recover: Boolean(values.recover),
+    outputDir: values['output-dir'],
+    only,
+    since,
+    confirm: values.yes || dryRun ? null : confirmSync
+  });
+
+  return exitCode;
+}
+
+async function runStatus() {
+  const sync = new MicroCMSQiitaSync();
+  const { lastSyncTime, runInProgress, rows } = await sync.getSyncStatus();
+
+  logger.table('\n📋 Sync Status:', rows.map(row => ({
+    ID: row.id,
+    Title: row.title,
+    State: row.reason ? `${row.state} (${row.reason})` : row.state,
+    Qiita: row.qiitaId || '-',
+    ...(sync.destinations.length > 0 && {
+      Destinations: Object.entries(row.destinations).map(([name, id]) => `${name}:${id}`).join(', ') || '-'
+    }),
+    'microCMS updated': row.microCMSUpdatedAt || '-',
+    'Last synced': row.lastSyncedAt || '-'
+  })), { articles: rows });
+
+  const countBy = state => rows.filter(row => row.state === state).length;
+  const orphaned = rows.filter(row => row.state.startsWith('orphaned')).length;
+  logger.info(`🆕 New: ${countBy('new')}  🔄 Outdated: ${countBy('outdated')}  ✅ Up to date: ${countBy('up-to-date')}  ✋ Held: ${countBy('held')}  👻 Unpublished: ${countBy('unpublished') + orphaned}`);
+  logger.info(`📅 Last sync: ${lastSyncTime || '(never)'}`);
+  if (runInProgress) {
+    logger.warn(`⚠️  The run started at ${runInProgress} did not finish; the next sync will look for unrecorded Qiita items`);
+  }
+
+  return EXIT_OK;
+}
+
+async function runPreview(values, [articleId]) {
+  // 標準出力には Markdown だけを出力する（ログは標準エラー出力へ）
+  logger.configure({ stdout: process.stderr });
+
+  const sync = new MicroCMSQiitaSync();
+  const rendered = await sync.renderArticle(articleId);
+
+  if (!rendered) {
+    logger.error(`❌ Article not found or not published in microCMS: ${articleId}`, { articleId });
+    return EXIT_FAILURE;
+  }
+
+  const { article, payload, validation } = rendered;
+  logger.info(`📝 ${payload.title}`, { articleId, title: payload.title });
+  logger.info(`🏷️  ${payload.tags.map(tag => tag.name).join(', ')}${payload.private ? '  🔒 private' : ''}`, { tags: payload.tags, private: payload.private });
+  sync.logValidation(article, validation);
+
+  if (values.output) {
+    const outputPath = path.resolve(process.cwd(), values.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, payload.body);
+    logger.info(`📁 Markdown written to: ${outputPath}`);
+  } else {
+    process.stdout.write(payload.body + '\n');
+  }
+
+  return validation.valid ? EXIT_OK : EXIT_FAILURE;
+}
+
+async function runDiff(values, [articleId]) {
+  // 標準出力には差分だけを出力する（ログは標準エラー出力へ）
+  logger.configure({ stdout: process.stderr });
+
+  const sync = new MicroCMSQiitaSync();
+  const { qiitaId, changes, diff } = await sync.diffWithQiita(articleId);
+
+  if (changes.length === 0 && !diff) {
+    logger.info(`🟰 ${articleId} matches Qiita item ${qiitaId}`, { articleId, qiitaId });
+    return EXIT_OK;
+  }
+
+  logger.info(`✏️  ${articleId} differs from Qiita item ${qiitaId}`, { articleId, qiitaId, changes });
+  changes.forEach(change => process.stdout.write(`${change}\n`));
+  if (diff) {
+    process.stdout.write(diff);
+  }
+
+  return EXIT_FAILURE;
+}
+
+async function runUnlink(values, [articleId]) {
+  const sync = new MicroCMSQiitaSync();
+  const entry = await sync.unlinkArticle(articleId);
+
+  logger.info(`🔓 Unlinked ${articleId} from Qiita item ${entry.qiitaId} (the Qiita item was not changed)`, { articleId, qiitaId: entry.qiitaId });
+  logger.warn('⚠️  The next sync creates a new Qiita item for this article unless qiitaSync is off or it is relinked');
+
+  return EXIT_OK;
+}
+
+async function runImport(values) {
+  const minConfidence = parseConfidence(values['min-confidence'], '--min-confidence');
+  const dryRun = Boolean(values['dry-run']);
+
+  if (!dryRun) {
+    requireConfirmation(values, 'import');
+  }
+
+  const sync = new MicroCMSQiitaSync();
+  const { proposals, unmatchedArticles, unmatchedItems, problems } = await sync.proposeLinks({
+    mappingPath: values.mapping || null,
+    only: parseIdList(values.only)
+  });
+
+  problems.forEach(problem => logger.warn(`⚠️  ${problem}`, { problem }));
+
+  const selected = proposals.filter(proposal => proposal.confidence >= minConfidence);
+  logger.table('\n🔗 Proposed links:', proposals.map(({ article, item, confidence, reasons }) => ({
+    ID: article.id,
+    Title: article.title,
+    Qiita: item.id,
+    'Qiita title': item.title,
+    Confidence: confidence.toFixed(2),
+    Match: reasons.join(', '),
+    Link: confidence >= minConfidence ? 'yes' : `no (< ${minConfidence})`
+  })), {
+    proposals: proposals.map(({ article, item, confidence, reasons }) => ({
+      articleId: article.id,
+      qiitaId: item.id,
+      confidence,
+      reasons,
+      selected: confidence >= minConfidence
+    }))
+  });
+
+  // 候補がない記事と、信頼度が足りず結び付けない記事は、次回の同期で新規に投稿される
+  const unlinked = [
+    ...proposals.filter(proposal => proposal.confidence < minConfidence).map(proposal => proposal.article),
+    ...unmatchedArticles
+  ];
+  logger.info(`🔗 Proposed: ${proposals.length}  ✅ To link: ${selected.length}  🆕 Articles without a match: ${unmatchedArticles.length}  📄 Qiita items without a match: ${unmatchedItems.length}`);
+  if (unlinked.length > 0) {
+    logger.info(`ℹ️  The next sync creates new Qiita items for: ${unlinked.map(article => article.id).join(', ')}`);
+  }
+
+  const exitCode = problems.length > 0 ? EXIT_FAILURE : EXIT_OK;
+
+  if (selected.length === 0) {
+    logger.info('Nothing to link');
+    return exitCode;
+  }
+  if (dryRun) {
+    logger.info('🧪 Dry run: the sync history was not changed');
+    return exitCode;
+  }
+  if (!values.yes && !await askYesNo(`⚠️  Link ${selected.length} article(s) to these Qiita items?`)) {
+    logger.info('Cancelled');
+    return EXIT_OK;
+  }
+
+  const { imported, skipped } = await sync.importLinks(selected);
+
+  imported.forEach(({ article, item }) => {
+    logger.info(`🔗 Linked ${article.id} to Qiita item ${item.id}`, { articleId: article.id, qiitaId: item.id });
+  });
+  skipped.forEach(({ article, item }) => {
+    logger.warn(`⚠️  Skipped ${article.id}: it or Qiita item ${item.id} was linked by another run`, { articleId: article.id, qiitaId: item.id });
+  });
+  logger.info(`ℹ️  Run "node scripts/cli.js sync --re-render" to replace the linked Qiita items with the current articles`);
+
+  return exitCode;
+}
+
+async function runRelink(values, [articleId, qiitaId]) {
+  const sync = new MicroCMSQiitaSync();
+  const { previous, entry } = await sync.relinkArticle(articleId, qiitaId);
+  const replaced = previous && previous.qiitaId !== entry.qiitaId ? ` (was ${previous.qiitaId})` : '';
+
+  logger.info(`🔗 Linked ${articleId} to Qiita item ${entry.qiitaId}${replaced}`, { articleId, qiitaId: entry.qiitaId, previousQiitaId: previous?.qiitaId || null });
+  logger.info(`ℹ️  Run "node scripts/cli.js sync --only=${articleId} --re-render" to replace the Qiita item with the current article`);
+
+  return EXIT_OK;
+}
+
+// "3d" → 3日後、"none" → 取り消し（null）、それ以外は日付
+function parsePostponeUntil(value) {
+  if (value === 'none') {
+    return null;
+  }
+
+  const days = value.match(/^(\d+)d$/);
+  if (days) {
+    return new Date(Date.now() + Number(days[1]) * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  return parseDate(value, 'postpone');
+}
+
+async function runQueue(values, [action = 'list', articleId, value]) {
+  const sync = new MicroCMSQiitaSync();
+
+  if (action === 'move' || action === 'postpone') {
+    if (!articleId || value === undefined) {
+      throw new UsageError(`Usage: node scripts/cli.js ${COMMANDS.queue.usage}`);
+    }
+
+    if (action === 'move') {
+      const position = parsePositiveInteger(value, 'position');
+      await sync.editPublishQueue((queue, state) => queue.move(state, articleId, position));
+      logger.info(`🗓️  Moved ${articleId} to position ${position}`, { articleId, position });
+    } else {
+      const until = parsePostponeUntil(value);
+      await sync.editPublishQueue((queue, state) => queue.postpone(state, articleId, until));
+      logger.info(until ? `🗓️  Postponed ${articleId} until ${until}` : `🗓️  ${articleId} is no longer postponed`, { articleId, notBefore: until });
+    }
+  } else if (action !== 'list' || articleId !== undefined) {
+    throw new UsageError(`Usage: node scripts/cli.js ${COMMANDS.queue.usage}`);
+  }
+
+  const queue = sync.getPublishQueue();
+
+  logger.table('\n🗓️  Publish queue:', queue.entries.map(entry => ({
+    '#': entry.position,
+    ID: entry.articleId,
+    Title: entry.title,
+    Priority: entry.priority,
+    'Not before': entry.notBefore || '-',
+    Failures: entry.failures || 0,
+    Estimated: entry.estimatedDate || '-'
+  })), { queue: queue.entries });
+
+  if (!queue.enabled) {
+    logger.warn('⚠️  PUBLISH_DAILY_LIMIT is not set: new articles are published as soon as they are synced');
+    return EXIT_OK;
+  }
+
+  logger.info(`📮 Daily limit: ${queue.dailyLimit} (${queue.remainingToday} left today)  🕘 Windows: ${queue.windows || 'any time'} (${queue.timeZone})`);
+  sync.warnIfScheduleOutsideWindows();
+
+  return EXIT_OK;
+}
+
+// スクリプトが直接実行された場合のみ実行
+if (require.main === module) {
+  run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { run, COMMANDS, EXIT_OK, EXIT_FAILURE, EXIT_USAGE };
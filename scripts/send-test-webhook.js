@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// 開発環境でのみdotenvを読み込み
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (error) {
+    // dotenvが利用できない場合は無視
+  }
+}
+
+const EVENT_TYPES = ['new', 'edit', 'unpublish', 'delete'];
+
+// microCMSの代わりに、署名付きのWebhookをローカルのサーバーへ送る
+async function sendTestWebhook(options) {
+  const { contentId, type, api, url, file, secret } = options;
+  let content = null;
+
+  // 公開イベントではコンテンツの内容が必要（ファイル指定がなければmicroCMSから取得）
+  if (type === 'new' || type === 'edit') {
+    if (file) {
+      content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else {
+      const response = await axios.get(
+        `https://${process.env.MICROCMS_DOMAIN}.microcms.io/api/v1/${api}/${contentId}`,
+        { headers: { 'X-MICROCMS-API-KEY': process.env.MICROCMS_API_KEY } }
+      );
+      content = response.data;
+    }
+  }
+
+  const published = content ? { id: contentId, status: ['PUBLISH'], draftKey: null, publishValue: content, draftValue: null } : null;
+  const closed = { id: contentId, status: ['CLOSED'], draftKey: null, publishValue: null, draftValue: null };
+
+  const body = JSON.stringify({
+    service: process.env.MICROCMS_DOMAIN || 'local',
+    api: api,
+    id: contentId,
+    type: type === 'unpublish' ? 'edit' : type,
+    contents: {
+      old: null,
+      new: type === 'delete' ? null : (published || closed)
+    }
+  });
+
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const response = await axios.post(url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-MICROCMS-Signature': signature
+    },
+    validateStatus: () => true
+  });
+
+  console.log(`📤 Sent ${type} ${api}/${contentId} → ${response.status} ${JSON.stringify(response.data)}`);
+  return response.status;
+}
+
+// スクリプトが直接実行された場合のみ実行
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getOption = name => {
+    const arg = args.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  const contentId = args.find(arg => !arg.startsWith('--'));
+  const type = getOption('type') || 'edit';
+
+  if (!contentId || args.includes('--help') || !EVENT_TYPES.includes(type)) {
+    console.log(`
+🪝 Test Webhook Sender - Usage
+
+node scripts/send-test-webhook.js CONTENT_ID [options]
+
+Options:
+  --type=TYPE     ${EVENT_TYPES.join(' | ')} (default: edit)
+  --api=NAME      microCMS API endpoint (default: articles)
+  --file=PATH     JSON file used as the published content instead of fetching it from microCMS
+  --url=URL       Webhook URL (default: http://localhost:3000/webhook)
+`);
+    process.exit(args.includes('--help') ? 0 : 1);
+  }
+
+  const secret = process.env.MICROCMS_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ Missing required environment variable: MICROCMS_WEBHOOK_SECRET');
+    process.exit(1);
+  }
+
+  sendTestWebhook({
+    contentId,
+    type,
+    api: getOption('api') || 'articles',
+    url: getOption('url') || `http://localhost:${process.env.WEBHOOK_PORT || 3000}/webhook`,
+    file: getOption('file'),
+    secret
+  })
+    .then(status => process.exit(status < 300 ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Failed to send webhook:', error.response?.data || error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { sendTestWebhook };
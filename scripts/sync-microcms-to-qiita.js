@@ -1,9 +1,42 @@
 #!/usr/bin/env node
 
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { createTwoFilesPatch } = require('diff');
 const HtmlToMarkdownConverter = require('./utils/html-to-markdown');
+const QiitaClient = require('./utils/qiita-client');
+const QiitaValidator = require('./utils/qiita-validator');
+const ItemMatcher = require('./utils/item-matcher');
+const PublishQueue = require('./utils/publish-queue');
+const QiitaPublisher = require('./utils/qiita-publisher');
+const ZennPublisher = require('./utils/zenn-publisher');
+const DevToPublisher = require('./utils/devto-publisher');
+const { createHistoryStore } = require('./utils/history-store');
+const { loadSyncConfig, collectFieldIds, mapContent } = require('./utils/sync-config');
+const { logger } = require('./utils/logger');
+const { SyncReport, categorizeError, describeError } = require('./utils/sync-report');
+
+// microCMS のリスト取得APIで1リクエストあたりに取得できる最大件数
+const MICROCMS_PAGE_LIMIT = 100;
+// 1回の実行で作成・更新する記事数の既定値
+const DEFAULT_MAX_ARTICLES = 50;
+// ドライラン時に変換後のMarkdownを書き出すディレクトリの既定値
+const DEFAULT_DRY_RUN_OUTPUT_DIR = 'dry-run';
+// microCMSから消えた記事（孤立記事）のQiita側の扱い: report / private / delete
+const ORPHAN_POLICIES = ['report', 'private', 'delete'];
+// Qiitaに加えて投稿できる先（SYNC_DESTINATIONS）
+const DESTINATIONS = ['zenn', 'devto'];
+// 定期実行の設定（投稿する時間帯と cron の確認に使う）
+// 同期済みの記事へのリンクの書き換え先（INTERNAL_LINK_TARGET）
+const INTERNAL_LINK_TARGETS = ['qiita', 'original'];
+// 取得漏れで全記事を孤立扱いしないための安全装置（この件数以下なら割合に関係なく処理する）
+const ORPHAN_SAFETY_MIN_COUNT = 3;
+// 同期済み記事のうち、この割合を超えて孤立と判定された場合は処理を中断する
+const ORPHAN_SAFETY_MAX_RATIO = 0.2;
+// Qiita上で直接編集された記事（ドリフト）を検出したときの扱い: overwrite / skip / fail
+const DRIFT_POLICIES = ['overwrite', 'skip', 'fail'];
 
 // 開発環境でのみdotenvを読み込み
 if (process.env.NODE_ENV !== 'production') {
@@ -15,23 +48,77 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 class MicroCMSQiitaSync {
-  constructor() {
+  // options（省略時は環境変数とカレントディレクトリを使う。テストではローカルの偽サーバーなどを指定する）
+  // - env: 環境変数の代わりに使う設定
+  // - cwd: 設定ファイルの検索、同期履歴・本文の控え・実行結果の保存に使うディレクトリ
+  // - http: HTTPクライアント（axios と同じ get / request を持つもの）
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.cwd = options.cwd || process.cwd();
+    this.http = options.http || axios;
+    
+    this.validateConfig();
+    
     this.microCMSConfig = {
-      domain: process.env.MICROCMS_DOMAIN,
-      apiKey: process.env.MICROCMS_API_KEY,
-      endpoint: 'articles' // API endpoint名（必要に応じて変更）
+      domain: this.env.MICROCMS_DOMAIN,
+      apiKey: this.env.MICROCMS_API_KEY,
+      // MICROCMS_API_BASE_URL はプロキシやテスト用の偽サーバーを使う場合のみ指定する
+      baseURL: this.env.MICROCMS_API_BASE_URL || `https://${this.env.MICROCMS_DOMAIN}.microcms.io/api/v1`
     };
     
+    // 同期するエンドポイントとフィールドの対応（sync.config.js / sync.config.json、なければ articles の既定値）
+    this.syncConfig = loadSyncConfig({ cwd: this.cwd, configPath: this.env.SYNC_CONFIG });
+    
     this.qiitaConfig = {
-      accessToken: process.env.QIITA_ACCESS_TOKEN,
-      baseURL: 'https://qiita.com/api/v2'
+      accessToken: this.env.QIITA_ACCESS_TOKEN,
+      baseURL: this.env.QIITA_API_BASE_URL || 'https://qiita.com/api/v2',
+      http: this.http
     };
     
-    this.originalSiteUrl = process.env.ORIGINAL_SITE_URL;
-    this.syncHistoryPath = path.join(process.cwd(), 'sync-history.json');
-    this.converter = new HtmlToMarkdownConverter();
+    this.qiitaClient = new QiitaClient(this.qiitaConfig);
+    this.qiitaPublisher = new QiitaPublisher({ client: this.qiitaClient });
+    this.validator = new QiitaValidator();
+    // Qiitaと同じ記事を投稿する追加の投稿先（Qiitaの後に投稿先ごとの形式に変換して投稿する）
+    // 投稿先は投稿する実行で初めて作る（status・diff などは投稿先のAPIキーなどがなくても使える）
+    this.destinationNames = this.parseDestinationNames(this.env.SYNC_DESTINATIONS);
+    this.destinationPublishers = null;
+    // 新規投稿の予約キュー（PUBLISH_DAILY_LIMIT を指定した場合のみ使う。更新はキューを通さない）
+    this.publishQueue = new PublishQueue({
+      dailyLimit: this.env.PUBLISH_DAILY_LIMIT,
+      windows: this.env.PUBLISH_WINDOWS,
+      timeZone: this.env.PUBLISH_TIMEZONE,
+      categoryPriority: this.env.PUBLISH_CATEGORY_PRIORITY,
+      cwd: this.cwd
+    });
     
-    this.validateConfig();
+    this.originalSiteUrl = this.env.ORIGINAL_SITE_URL;
+    // 同期履歴の保存先（SYNC_HISTORY_PATH で変更可能。.db / .sqlite はSQLiteに保存）
+    this.historyStore = createHistoryStore(
+      path.resolve(this.cwd, this.env.SYNC_HISTORY_PATH || 'sync-history.json')
+    );
+    // 実行結果の記録（記事ごとの処理内容・エラーの種類。失敗時のissueに使う）
+    this.reportPath = path.resolve(this.cwd, this.env.SYNC_REPORT_PATH || 'sync-report.json');
+    // 最後にQiitaへ送った本文の控え（ドリフト検出の比較元）
+    this.snapshotDir = path.join(this.cwd, 'sync-snapshots');
+    // 記事間のリンクの書き換え先（qiita: 同期済みの記事へのリンクをQiitaの記事のURLにする / original: 元サイトのまま）
+    this.internalLinkTarget = this.parseInternalLinkTarget(this.env.INTERNAL_LINK_TARGET);
+    // リンク先のQiitaのURLを組み立てるユーザーID（URLを記録していない古い履歴のために取得する）
+    this.qiitaUserId = null;
+    this.converter = new HtmlToMarkdownConverter({
+      siteUrl: this.originalSiteUrl,
+      articleRoutes: this.syncConfig.endpoints,
+      rewriteInternalLinks: this.internalLinkTarget === 'qiita',
+      templateDir: this.env.TEMPLATE_DIR ? path.resolve(this.cwd, this.env.TEMPLATE_DIR) : undefined,
+      tagDictionary: this.env.TAG_DICTIONARY ? path.resolve(this.cwd, this.env.TAG_DICTIONARY) : undefined,
+      noteClassMap: this.parseNoteClassMap(this.env.NOTE_CLASS_MAP),
+      image: {
+        width: this.env.IMAGE_WIDTH,
+        format: this.env.IMAGE_FORMAT,
+        cacheDir: this.env.IMAGE_CACHE_DIR ? path.resolve(this.cwd, this.env.IMAGE_CACHE_DIR) : null,
+        assetBaseUrl: this.env.IMAGE_ASSET_BASE_URL,
+        http: this.http
+      }
+    });
   }
 
   validateConfig() {
@@ -41,263 +128,1922 @@ class MicroCMSQiitaSync {
       'QIITA_ACCESS_TOKEN'
     ];
     
-    const missing = required.filter(key => !process.env[key]);
+    const missing = required.filter(key => !this.env[key]);
     
     if (missing.length > 0) {
       throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
   }
 
-  async getMicroCMSArticles() {
+  // "zenn,devto" 形式の設定から追加の投稿先の名前を取り出す（qiita は常に投稿するため指定しても無視する）
+  parseDestinationNames(value) {
+    const names = [...new Set((value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean))]
+      .filter(name => name !== 'qiita');
+    
+    const unknown = names.find(name => !DESTINATIONS.includes(name));
+    if (unknown) {
+      throw new Error(`Unknown destination in SYNC_DESTINATIONS: ${unknown} (expected one of ${DESTINATIONS.join(', ')})`);
+    }
+    
+    return names;
+  }
+
+  get destinations() {
+    if (!this.destinationPublishers) {
+      this.destinationPublishers = this.createDestinations(this.destinationNames);
+    }
+    
+    return this.destinationPublishers;
+  }
+
+  // 投稿する実行の最初に投稿先を作り、設定の不足（APIキーなど）をQiitaに投稿する前に検出する
+  prepareDestinations() {
+    if (this.destinations.length > 0) {
+      logger.debug(`📮 Destinations: Qiita, ${this.destinations.map(publisher => publisher.label).join(', ')}`);
+    }
+  }
+
+  createDestinations(names) {
+    return names.map(name => {
+      switch (name) {
+        case 'zenn':
+          return new ZennPublisher({
+            repoPath: this.env.ZENN_REPO_PATH ? path.resolve(this.cwd, this.env.ZENN_REPO_PATH) : null,
+            emoji: this.env.ZENN_EMOJI,
+            type: this.env.ZENN_TYPE
+          });
+        case 'devto':
+          return new DevToPublisher({
+            apiKey: this.env.DEVTO_API_KEY,
+            baseURL: this.env.DEVTO_API_BASE_URL,
+            http: this.http
+          });
+      }
+    });
+  }
+
+  // "クラス名:種類,クラス名:種類" 形式の設定を対応表にする（例: "tip-box:info,danger-box:alert"）
+  parseNoteClassMap(value) {
+    if (!value) {
+      return {};
+    }
+    
+    return Object.fromEntries(
+      value.split(',')
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(([className, noteType]) => className && noteType)
+    );
+  }
+
+  parseInternalLinkTarget(value) {
+    const target = (value || 'qiita').trim().toLowerCase();
+    
+    if (!INTERNAL_LINK_TARGETS.includes(target)) {
+      throw new Error(`Invalid INTERNAL_LINK_TARGET: ${value} (expected one of ${INTERNAL_LINK_TARGETS.join(', ')})`);
+    }
+    
+    return target;
+  }
+
+  async getMicroCMSArticles(options = {}) {
+    const { since = null } = options;
+
     try {
-      console.log('Fetching articles from microCMS...');
+      const articles = [];
+      
+      for (const endpointConfig of this.syncConfig.endpoints) {
+        if (since) {
+          logger.info(`Fetching ${endpointConfig.endpoint} updated after ${since} from microCMS...`);
+        } else {
+          logger.info(`Fetching ${endpointConfig.endpoint} from microCMS...`);
+        }
+        
+        const params = {
+          fields: collectFieldIds(endpointConfig).join(','),
+          // 更新日時の古い順に並べ、上限で打ち切った場合も次回続きから処理できるようにする
+          orders: 'updatedAt'
+        };
+        
+        // 差分取得モード: 前回同期以降に更新された記事のみ取得
+        if (since) {
+          params.filters = `updatedAt[greater_than]${since}`;
+        }
+        
+        const contents = await this.fetchAllMicroCMSContents(endpointConfig.endpoint, params);
+        
+        // 公開済みの記事のみをフィルタ
+        articles.push(
+          ...contents
+            .filter(content => this.isPublishedArticle(content))
+            .map(content => this.mapMicroCMSContent(content, endpointConfig))
+        );
+      }
+      
+      // 複数のエンドポイントをまとめて更新日時順に並べ直す（差分取得の起点を正しく進めるため）
+      articles.sort((a, b) => new Date(this.getArticleUpdatedAt(a)) - new Date(this.getArticleUpdatedAt(b)));
       
-      const response = await axios.get(
-        `https://${this.microCMSConfig.domain}.microcms.io/api/v1/${this.microCMSConfig.endpoint}`,
+      logger.info(`Found ${articles.length} published articles`);
+      return articles;
+      
+    } catch (error) {
+      logger.error(`Failed to fetch microCMS articles: ${describeError(error)}`, { errorCategory: categorizeError(error) });
+      throw error;
+    }
+  }
+
+  // リストAPIは公開中のコンテンツだけを返すため、公開日時が正しく入っているかだけを確認する
+  isPublishedArticle(article) {
+    return Boolean(article.publishedAt) && !Number.isNaN(Date.parse(article.publishedAt));
+  }
+
+  // qiitaPublishAfter（公開から何日後か、または日時）から、Qiitaに出してよい日時を求める
+  getPublishAfterDate(article) {
+    const value = article.publishAfter;
+    
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    
+    if (typeof value === 'number' || /^\d+(?:\.\d+)?$/.test(String(value).trim())) {
+      const days = Number(value);
+      return new Date(new Date(article.publishedAt).getTime() + days * 24 * 60 * 60 * 1000);
+    }
+    
+    return new Date(value);
+  }
+
+  // 記事ごとの制御フィールドによって同期を見送る理由（見送らない場合は null）
+  // retry: 記事が更新されなくても後で同期する必要がある（差分取得の起点を進めない）
+  getHoldReason(article, now = new Date()) {
+    if (!article.syncEnabled) {
+      return { reason: 'qiitaSync is off', retry: false };
+    }
+    
+    const publishAfter = this.getPublishAfterDate(article);
+    if (publishAfter && Number.isNaN(publishAfter.getTime())) {
+      return { reason: `qiitaPublishAfter "${article.publishAfter}" is not a number of days or a date`, retry: true };
+    }
+    if (publishAfter && publishAfter > now) {
+      return { reason: `qiitaPublishAfter: waiting until ${publishAfter.toISOString()}`, retry: true };
+    }
+    
+    return null;
+  }
+
+  // microCMSのコンテンツを同期処理で扱う記事の形にする
+  // id は同期履歴のキー（2つ目以降のエンドポイントは "エンドポイント名." が付く）、contentId はmicroCMS上のID
+  mapMicroCMSContent(content, endpointConfig) {
+    const mapped = mapContent(content, endpointConfig);
+    
+    return {
+      ...mapped,
+      id: endpointConfig.historyKeyPrefix + content.id,
+      contentId: content.id,
+      endpoint: endpointConfig.endpoint,
+      // 画像の事前ダウンロードに使うHTMLの本文
+      content: mapped.bodyParts.filter(part => part.type === 'html').map(part => part.content).join('\n'),
+      publishedAt: content.publishedAt,
+      updatedAt: content.updatedAt,
+      revisedAt: content.revisedAt,
+      originalUrl: this.originalSiteUrl
+        ? this.originalSiteUrl + endpointConfig.urlPath.replace('{id}', content.id)
+        : null,
+      fields: content
+    };
+  }
+
+  // totalCount に達するまで offset をずらして全ページを取得
+  // strict: 件数が totalCount と一致しない場合は部分的な取得とみなしてエラーにする
+  async fetchAllMicroCMSContents(endpoint, params = {}, options = {}) {
+    const { strict = false } = options;
+    const contents = [];
+    let totalCount = null;
+    
+    while (totalCount === null || contents.length < totalCount) {
+      const response = await this.http.get(
+        `${this.microCMSConfig.baseURL}/${endpoint}`,
         {
           headers: {
             'X-MICROCMS-API-KEY': this.microCMSConfig.apiKey
           },
           params: {
-            limit: 100, // 最大100件取得
-            fields: 'id,title,content,excerpt,category,tags,publishedAt,updatedAt,revisedAt'
+            ...params,
+            limit: MICROCMS_PAGE_LIMIT,
+            offset: contents.length
           }
         }
       );
       
-      // 公開済みの記事のみをフィルタ
-      const publishedArticles = response.data.contents.filter(article => 
-        article.publishedAt && !article.publishedAt.includes('draft')
+      const page = response.data.contents || [];
+      
+      if (strict && totalCount !== null && response.data.totalCount !== totalCount) {
+        throw new Error(`microCMS totalCount changed while paginating (${totalCount} -> ${response.data.totalCount})`);
+      }
+      
+      totalCount = response.data.totalCount;
+      contents.push(...page);
+      
+      logger.debug(`- Fetched ${contents.length}/${totalCount} contents`, { endpoint });
+      
+      // 途中で件数が変わった場合などに無限ループしないよう、空ページで打ち切る
+      if (page.length === 0) {
+        break;
+      }
+    }
+    
+    if (strict && contents.length !== totalCount) {
+      throw new Error(`Incomplete microCMS listing: fetched ${contents.length} of ${totalCount} contents`);
+    }
+    
+    return contents;
+  }
+
+  // 同期履歴のキー（2つ目以降のエンドポイントは "エンドポイント名.ID"）から公開中の記事を1件取得する
+  // 公開されていない場合は null
+  async getMicroCMSArticle(articleId) {
+    const endpointConfig = this.syncConfig.endpoints.find(config =>
+      config.historyKeyPrefix && articleId.startsWith(config.historyKeyPrefix)
+    ) || this.syncConfig.endpoints[0];
+    const contentId = articleId.slice(endpointConfig.historyKeyPrefix.length);
+    
+    try {
+      const response = await this.http.get(
+        `${this.microCMSConfig.baseURL}/${endpointConfig.endpoint}/${encodeURIComponent(contentId)}`,
+        {
+          headers: {
+            'X-MICROCMS-API-KEY': this.microCMSConfig.apiKey
+          },
+          params: {
+            fields: collectFieldIds(endpointConfig).join(',')
+          }
+        }
       );
       
-      console.log(`Found ${publishedArticles.length} published articles`);
-      return publishedArticles;
+      return this.isPublishedArticle(response.data) ? this.mapMicroCMSContent(response.data, endpointConfig) : null;
       
     } catch (error) {
-      console.error('Failed to fetch microCMS articles:', error.response?.data || error.message);
+      if (error.response?.status === 404) {
+        return null;
+      }
       throw error;
     }
   }
 
+  // 公開中の全記事IDを取得（差分モードでも孤立記事の判定には全件が必要）
+  async getPublishedArticleIds() {
+    const ids = new Set();
+    
+    for (const endpointConfig of this.syncConfig.endpoints) {
+      const contents = await this.fetchAllMicroCMSContents(
+        endpointConfig.endpoint,
+        { fields: 'id,publishedAt' },
+        { strict: true }
+      );
+      
+      contents
+        .filter(content => this.isPublishedArticle(content))
+        .forEach(content => ids.add(endpointConfig.historyKeyPrefix + content.id));
+    }
+    
+    return ids;
+  }
+
+  // 履歴を読めない場合に空の履歴で続けると全記事を重複投稿してしまうため、エラーにする
   loadSyncHistory() {
     try {
-      if (fs.existsSync(this.syncHistoryPath)) {
-        const data = fs.readFileSync(this.syncHistoryPath, 'utf8');
-        return JSON.parse(data);
-      }
+      return this.historyStore.load();
     } catch (error) {
-      console.warn('Failed to load sync history, starting fresh:', error.message);
+      throw new Error(`Failed to load sync history from ${this.historyStore.describe()}: ${error.message}`);
     }
+  }
+
+  saveSyncHistory(history, options = {}) {
+    const { quiet = false } = options;
     
-    return {
-      lastSyncTime: null,
-      articles: {}
-    };
+    this.historyStore.save(history);
+    if (!quiet) {
+      logger.info('Sync history saved', { path: this.historyStore.describe() });
+    }
   }
 
-  saveSyncHistory(history) {
+  // 同期履歴を書き換える処理を、他の同期（定期実行・Webhook）と同時に実行しないようにする
+  async withHistoryLock(callback) {
+    await this.historyStore.lock.acquire();
+    
     try {
-      fs.writeFileSync(this.syncHistoryPath, JSON.stringify(history, null, 2));
-      console.log('Sync history saved');
-    } catch (error) {
-      console.error('Failed to save sync history:', error.message);
+      return await callback();
+    } finally {
+      this.historyStore.lock.release();
+    }
+  }
+
+  // 投稿後に履歴を保存する前に異常終了した記事を、Qiitaの記事一覧から探して履歴に戻す
+  // タイトルと本文中の転載元URLが両方一致した記事だけを復元し、片方だけ一致した記事は報告のみ行う
+  async recoverUnrecordedItems(history, articles) {
+    logger.info('🩹 Looking for Qiita items that were created but not recorded...');
+    
+    const recordedIds = new Set(Object.values(history.articles).map(entry => entry.qiitaId));
+    const items = (await this.qiitaClient.listAuthenticatedUserItems())
+      .filter(item => !recordedIds.has(item.id));
+    let recoveredCount = 0;
+    
+    for (const article of articles) {
+      const entry = history.articles[article.id];
+      if (entry && entry.orphanAction !== 'deleted') {
+        continue;
+      }
+      
+      const title = article.titleOverride || article.title;
+      const matchesUrl = item => Boolean(article.originalUrl) && item.body.includes(article.originalUrl);
+      const match = items.find(item => item.title === title && matchesUrl(item));
+      
+      if (!match) {
+        const partial = items.find(item => item.title === title || matchesUrl(item));
+        if (partial) {
+          logger.warn(`⚠️  Possible unrecorded Qiita item for ${article.title}: ${partial.id} (title or URL differs, not recovered)`, { articleId: article.id, qiitaId: partial.id });
+        }
+        continue;
+      }
+      
+      this.linkQiitaItem(history, article, match, { recoveredAt: new Date().toISOString() });
+      items.splice(items.indexOf(match), 1);
+      recoveredCount++;
+      logger.info(`🩹 Recovered: ${article.title} → Qiita ID ${match.id}`, { articleId: article.id, qiitaId: match.id });
     }
+    
+    return recoveredCount;
+  }
+
+  getArticleUpdatedAt(article) {
+    return article.updatedAt || article.revisedAt || article.publishedAt;
+  }
+
+  // Qiitaに送る内容（タイトル・本文・タグ）のハッシュを計算
+  computeContentHash(payload) {
+    const content = JSON.stringify({
+      title: payload.title,
+      body: payload.body,
+      tags: payload.tags
+    });
+    
+    return crypto.createHash('sha256').update(content).digest('hex');
   }
 
-  shouldSyncArticle(article, history) {
+  shouldSyncArticle(article, history, options = {}) {
+    const { payload = null, reRender = false, now = new Date() } = options;
     const articleHistory = history.articles[article.id];
     
-    if (!articleHistory) {
+    // microCMSの制御フィールドで見送られた記事は、同期済みでもQiita側をそのままにする
+    const hold = this.getHoldReason(article, now);
+    if (hold) {
+      return { shouldSync: false, action: 'hold', reason: hold.reason, retry: hold.retry, qiitaId: articleHistory?.qiitaId };
+    }
+    
+    // 孤立記事としてQiitaから削除済みの場合は新規投稿し直す
+    if (!articleHistory || articleHistory.orphanAction === 'deleted') {
       return { shouldSync: true, action: 'create' };
     }
     
+    // 孤立記事として限定共有にした記事が再公開された場合は、内容に関係なく公開状態に戻す
+    if (articleHistory.orphanAction === 'private') {
+      return { shouldSync: true, action: 'update', qiitaId: articleHistory.qiitaId };
+    }
+    
     // 更新日時を比較（updatedAt > revisedAt > publishedAt の優先順位）
-    const microCMSUpdatedAt = article.updatedAt || article.revisedAt || article.publishedAt;
+    const microCMSUpdatedAt = this.getArticleUpdatedAt(article);
     const lastSyncedUpdatedAt = articleHistory.microCMSUpdatedAt;
+    const isUpdated = microCMSUpdatedAt && lastSyncedUpdatedAt &&
+      new Date(microCMSUpdatedAt) > new Date(lastSyncedUpdatedAt);
     
-    if (microCMSUpdatedAt && lastSyncedUpdatedAt && 
-        new Date(microCMSUpdatedAt) > new Date(lastSyncedUpdatedAt)) {
-      return { shouldSync: true, action: 'update', qiitaId: articleHistory.qiitaId };
+    // 再レンダリングモードと、リンク先の記事が同期されて再同期を求められた記事は、更新日時に関係なく出力内容を比較する
+    if (!isUpdated && !reRender && !articleHistory.resyncRequestedAt) {
+      return { shouldSync: false, action: 'skip' };
+    }
+    
+    // 前回送信した内容のハッシュと一致する場合は、再保存されただけとみなして更新しない
+    // （限定共有の設定だけが変わった場合は更新する）
+    if (payload && articleHistory.contentHash &&
+        this.computeContentHash(payload) === articleHistory.contentHash &&
+        payload.private === (articleHistory.private ?? false)) {
+      return { shouldSync: false, action: 'unchanged', qiitaId: articleHistory.qiitaId };
     }
     
-    return { shouldSync: false, action: 'skip' };
+    return { shouldSync: true, action: 'update', qiitaId: articleHistory.qiitaId };
   }
 
-  async createQiitaArticle(article) {
-    const tags = this.converter.processTags(article.category, article.tags);
-    const originalUrl = this.originalSiteUrl ? `${this.originalSiteUrl}/articles/${article.id}` : null;
+  // 既存のQiitaの記事を履歴に記録する（復元・結び付け直し・取り込み）
+  // 送信時の内容は分からないため contentHash は記録せず、Qiitaの現在の本文を最後に送った内容とする
+  // （Qiita側は次に記事が更新されたときに上書きされる）
+  linkQiitaItem(history, article, item, extra = {}) {
+    const entry = {
+      qiitaId: item.id,
+      title: article.title,
+      lastSyncedAt: item.updated_at || new Date().toISOString(),
+      microCMSUpdatedAt: this.getArticleUpdatedAt(article),
+      bodyHash: this.computeBodyHash(item.body),
+      private: item.private,
+      qiitaUrl: item.url,
+      ...extra,
+      destinations: history.articles[article.id]?.destinations
+    };
     
-    const body = this.converter.convert(article.content, {
-      excerpt: article.excerpt,
-      originalUrl: originalUrl,
-      originalTitle: article.title
-    });
+    history.articles[article.id] = entry;
+    this.saveBodySnapshot(article.id, item.body);
+    this.requestLinkedResync(history, article.id);
+    
+    return entry;
+  }
 
-    const payload = {
+  // 同期済みの記事を履歴に記録
+  // （追加の投稿先の記録 destinations はそのまま引き継ぐ。再同期の印 resyncRequestedAt は外れる）
+  recordSyncedArticle(history, article, qiitaArticle, payload) {
+    history.articles[article.id] = {
+      qiitaId: qiitaArticle.id,
       title: article.title,
-      body: body,
-      tags: tags,
-      private: false
+      lastSyncedAt: new Date().toISOString(),
+      microCMSUpdatedAt: this.getArticleUpdatedAt(article),
+      contentHash: this.computeContentHash(payload),
+      bodyHash: this.computeBodyHash(payload.body),
+      private: payload.private,
+      qiitaUrl: qiitaArticle.url,
+      destinations: history.articles[article.id]?.destinations
     };
+    
+    this.saveBodySnapshot(article.id, payload.body);
+  }
 
-    try {
-      console.log(`Creating article: ${article.title}`);
-      console.log('📄 Payload preview:');
-      console.log(`- Title: ${payload.title}`);
-      console.log(`- Tags: ${JSON.stringify(payload.tags)}`);
-      console.log(`- Body length: ${payload.body.length} characters`);
-      console.log(`- Private: ${payload.private}`);
-      
-      const response = await axios.post(
-        `${this.qiitaConfig.baseURL}/items`,
-        payload,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.qiitaConfig.accessToken}`,
-            'Content-Type': 'application/json'
-          }
+  // 記事間のリンクの書き換えに使う、同期済みの記事のQiitaのURLを用意する
+  // URLを記録していない古い履歴がある場合のみ、URLを組み立てるためにQiitaのユーザーIDを取得する
+  async prepareLinkTargets(history) {
+    if (this.internalLinkTarget !== 'qiita') {
+      return;
+    }
+    
+    const needsUserId = Object.values(history.articles).some(entry => this.isLinkTarget(entry) && !entry.qiitaUrl);
+    if (needsUserId && !this.qiitaUserId) {
+      try {
+        this.qiitaUserId = (await this.qiitaClient.getAuthenticatedUser()).id;
+      } catch (error) {
+        logger.warn(`⚠️  Could not fetch the Qiita user, links to articles synced by older versions are kept as they are: ${describeError(error)}`);
+      }
+    }
+    
+    this.refreshLinkTargets(history);
+  }
+
+  // 公開中のQiitaの記事だけをリンク先にする（限定共有の記事・孤立記事として処理した記事へはリンクしない）
+  isLinkTarget(entry) {
+    return Boolean(entry.qiitaId) && !entry.private && !entry.orphanAction;
+  }
+
+  refreshLinkTargets(history) {
+    const targets = {};
+    
+    Object.entries(history.articles)
+      .filter(([, entry]) => this.isLinkTarget(entry))
+      .forEach(([articleId, entry]) => {
+        const url = entry.qiitaUrl || (this.qiitaUserId ? `https://qiita.com/${this.qiitaUserId}/items/${entry.qiitaId}` : null);
+        if (url) {
+          targets[articleId] = url;
         }
-      );
-      
-      console.log(`✅ Created: ${article.title} (ID: ${response.data.id})`);
-      return response.data;
-      
+      });
+    
+    this.converter.setLinkTargets(targets);
+  }
+
+  // 新しくQiitaの記事と対応付けた記事をリンク先に加え、その記事へのリンクが元サイトのURLのまま残っている記事に再同期の印を付ける
+  // （前回送った本文の控えから探す。印を付けた記事は、次に処理するときに更新日時に関係なく出力内容を比較する）
+  // 戻り値: 印を付けた記事（同期履歴のキー）
+  requestLinkedResync(history, articleId) {
+    if (this.internalLinkTarget !== 'qiita') {
+      return [];
+    }
+    
+    this.refreshLinkTargets(history);
+    if (!this.isLinkTarget(history.articles[articleId])) {
+      return [];
+    }
+    
+    const requestedAt = new Date().toISOString();
+    const linkingIds = Object.entries(history.articles)
+      .filter(([id, entry]) => id !== articleId && entry.qiitaId && !entry.orphanAction)
+      .filter(([id]) => this.converter.findArticleLinks(this.loadBodySnapshot(id) || '', id).includes(articleId))
+      .map(([id]) => id);
+    
+    linkingIds.forEach(id => {
+      history.articles[id].resyncRequestedAt = history.articles[id].resyncRequestedAt || requestedAt;
+      logger.info(`🔗 Queued for re-sync: ${history.articles[id].title} (links to ${articleId})`, { articleId: id });
+    });
+    
+    return linkingIds;
+  }
+
+  // Qiita側で改行などが正規化されても比較できるよう、本文を揃えてからハッシュを取る
+  normalizeBody(body) {
+    return (body || '').replace(/\r\n/g, '\n').replace(/\s+$/, '');
+  }
+
+  computeBodyHash(body) {
+    return crypto.createHash('sha256').update(this.normalizeBody(body)).digest('hex');
+  }
+
+  saveBodySnapshot(articleId, body) {
+    try {
+      fs.mkdirSync(this.snapshotDir, { recursive: true });
+      fs.writeFileSync(path.join(this.snapshotDir, `${articleId}.md`), this.normalizeBody(body) + '\n');
     } catch (error) {
-      console.error(`❌ Failed to create article: ${article.title}`);
-      console.error('Error details:');
-      console.error('- Status:', error.response?.status);
-      console.error('- Data:', JSON.stringify(error.response?.data, null, 2));
-      console.error('- Headers:', error.response?.headers);
-      
-      // デバッグ用にペイロードも出力
-      console.error('📋 Full payload that caused error:');
-      console.error(JSON.stringify(payload, null, 2));
-      
-      throw error;
+      logger.warn(`Failed to save body snapshot for ${articleId}: ${error.message}`, { articleId });
     }
   }
 
-  async updateQiitaArticle(article, qiitaId) {
-    const tags = this.converter.processTags(article.category, article.tags);
-    const originalUrl = this.originalSiteUrl ? `${this.originalSiteUrl}/articles/${article.id}` : null;
+  removeBodySnapshot(articleId) {
+    fs.rmSync(path.join(this.snapshotDir, `${articleId}.md`), { force: true });
+  }
+
+  loadBodySnapshot(articleId) {
+    const snapshotPath = path.join(this.snapshotDir, `${articleId}.md`);
+    return fs.existsSync(snapshotPath) ? fs.readFileSync(snapshotPath, 'utf8') : null;
+  }
+
+  // microCMSの記事からQiita APIに送るペイロードを組み立てる
+  buildQiitaPayload(article) {
+    const tags = this.converter.processTags(article.tagNames, { categories: article.category });
     
-    const body = this.converter.convert(article.content, {
+    const body = this.converter.convertParts(article.bodyParts, {
       excerpt: article.excerpt,
-      originalUrl: originalUrl,
-      originalTitle: article.title
+      originalUrl: article.originalUrl,
+      articleId: article.id,
+      originalTitle: article.title,
+      category: article.category,
+      tagNames: article.tagNames,
+      article: article.fields
     });
 
-    const payload = {
-      title: article.title,
+    return {
+      // qiitaTitle があればQiitaではそちらを使う（転載元の案内には元のタイトルを使う）
+      title: article.titleOverride || article.title,
       body: body,
       tags: tags,
-      private: false
+      private: article.private
     };
+  }
+
+  // Qiitaに送る前にペイロードを検査し、問題を記事ごとに表示する
+  validatePayload(article, payload) {
+    const result = this.validator.validate(payload, { sourceHtml: article.content });
+    this.logValidation(article, result);
+    
+    return result;
+  }
+
+  logValidation(article, result) {
+    result.errors.forEach(error => logger.error(`🚫 ${article.title} (${article.id}): ${error}`, { articleId: article.id }));
+    result.warnings.forEach(warning => logger.warn(`⚠️  ${article.title} (${article.id}): ${warning}`, { articleId: article.id }));
+  }
+
+  // 送信するペイロードの概要（デバッグ時のみ）
+  logPayload(article, payload) {
+    logger.debug(`📄 Payload: ${payload.title} / tags ${payload.tags.map(tag => tag.name).join(', ')} / ${payload.body.length} characters / private ${payload.private}`, {
+      articleId: article.id,
+      title: payload.title,
+      tags: payload.tags,
+      bodyLength: payload.body.length,
+      private: payload.private
+    });
+  }
 
+  async createQiitaArticle(article, payload = this.buildQiitaPayload(article)) {
     try {
-      console.log(`Updating article: ${article.title}`);
+      logger.info(`Creating article: ${article.title}`, { articleId: article.id });
+      this.logPayload(article, payload);
       
-      const response = await axios.patch(
-        `${this.qiitaConfig.baseURL}/items/${qiitaId}`,
-        payload,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.qiitaConfig.accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const item = await this.qiitaPublisher.create(payload, article);
       
-      console.log(`✅ Updated: ${article.title} (ID: ${qiitaId})`);
-      return response.data;
+      logger.info(`✅ Created: ${article.title} (ID: ${item.id})`, { articleId: article.id, qiitaId: item.id });
+      return item;
       
     } catch (error) {
-      console.error(`❌ Failed to update article: ${article.title}`);
-      console.error('Error:', error.response?.data || error.message);
+      logger.error(`❌ Failed to create article: ${article.title}: ${describeError(error)}`, {
+        articleId: article.id,
+        errorCategory: categorizeError(error)
+      });
+      // 拒否された原因を調べられるよう、デバッグ時はペイロード全体を出力
+      logger.debug('📋 Payload that caused the error:', { articleId: article.id, detail: JSON.stringify(payload, null, 2) });
+      
       throw error;
     }
   }
 
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  async syncArticles() {
+  async updateQiitaArticle(article, qiitaId, payload = this.buildQiitaPayload(article)) {
     try {
-      console.log('🚀 Starting microCMS to Qiita sync...');
+      logger.info(`Updating article: ${article.title}`, { articleId: article.id, qiitaId });
+      this.logPayload(article, payload);
       
-      const articles = await this.getMicroCMSArticles();
-      const history = this.loadSyncHistory();
+      const item = await this.qiitaPublisher.update(qiitaId, payload, article);
       
-      let syncCount = 0;
-      let errorCount = 0;
-      const maxArticles = 50; // 1回の実行で最大50記事まで処理
+      logger.info(`✅ Updated: ${article.title} (ID: ${qiitaId})`, { articleId: article.id, qiitaId });
+      return item;
       
-      for (const article of articles.slice(0, maxArticles)) {
-        try {
-          const syncDecision = this.shouldSyncArticle(article, history);
-          
-          if (!syncDecision.shouldSync) {
-            console.log(`⏭️  Skipping: ${article.title} (no changes)`);
-            continue;
-          }
-          
-          let qiitaArticle;
-          
-          if (syncDecision.action === 'create') {
-            qiitaArticle = await this.createQiitaArticle(article);
-          } else if (syncDecision.action === 'update') {
-            qiitaArticle = await this.updateQiitaArticle(article, syncDecision.qiitaId);
-          }
-          
-          // 履歴を更新
-          history.articles[article.id] = {
-            qiitaId: qiitaArticle.id,
-            title: article.title,
-            lastSyncedAt: new Date().toISOString(),
-            microCMSUpdatedAt: article.updatedAt || article.revisedAt || article.publishedAt
-          };
-          
-          syncCount++;
-          
-          // API制限を考慮して2秒待機
-          if (syncCount < articles.length) {
-            console.log('⏳ Waiting 2 seconds...');
-            await this.sleep(2000);
-          }
-          
-        } catch (error) {
-          errorCount++;
-          console.error(`Error processing article ${article.title}:`, error.message);
-          // エラーが発生しても他の記事の処理は継続
+    } catch (error) {
+      logger.error(`❌ Failed to update article: ${article.title}: ${describeError(error)}`, {
+        articleId: article.id,
+        qiitaId,
+        errorCategory: categorizeError(error)
+      });
+      logger.debug('📋 Payload that caused the error:', { articleId: article.id, detail: JSON.stringify(payload, null, 2) });
+      throw error;
+    }
+  }
+
+  async setQiitaArticlePrivate(qiitaId) {
+    return this.qiitaPublisher.unpublish(qiitaId);
+  }
+
+  async deleteQiitaArticle(qiitaId) {
+    return this.qiitaPublisher.remove(qiitaId);
+  }
+
+  // Qiitaに投稿・更新した後、追加の投稿先にも投稿・更新する
+  // 投稿先ごとに前回送った内容のハッシュと比べ、変わっていなければ送らない（新たに追加した投稿先には投稿する）
+  // 投稿先の失敗はQiitaや他の投稿先の結果に影響させず、戻り値で返す
+  // 戻り値: [{ destination, action: create / update / unchanged / error, id, errorCategory, error }]
+  async publishToDestinations(article, history, payload) {
+    const entry = history.articles[article.id];
+    const results = [];
+    
+    for (const publisher of this.destinations) {
+      const previous = entry.destinations?.[publisher.name];
+      const fields = { articleId: article.id, destination: publisher.name };
+      
+      try {
+        const rendered = publisher.render(payload, article);
+        const contentHash = crypto.createHash('sha256').update(JSON.stringify(rendered)).digest('hex');
+        
+        if (previous && previous.contentHash === contentHash) {
+          results.push({ destination: publisher.name, action: 'unchanged', id: previous.id });
           continue;
         }
+        
+        const action = previous ? 'update' : 'create';
+        const published = previous
+          ? await publisher.update(previous.id, rendered, article)
+          : await publisher.create(rendered, article);
+        
+        entry.destinations = {
+          ...entry.destinations,
+          [publisher.name]: {
+            id: published.id,
+            url: published.url || previous?.url || null,
+            contentHash: contentHash,
+            lastSyncedAt: new Date().toISOString()
+          }
+        };
+        logger.info(`✅ ${action === 'create' ? 'Created' : 'Updated'} on ${publisher.label}: ${article.title} (ID: ${published.id})`, { ...fields, destinationId: published.id });
+        results.push({ destination: publisher.name, action, id: published.id });
+        
+      } catch (error) {
+        logger.error(`❌ Failed to publish to ${publisher.label}: ${article.title}: ${describeError(error)}`, {
+          ...fields,
+          errorCategory: categorizeError(error)
+        });
+        results.push({
+          destination: publisher.name,
+          action: 'error',
+          id: previous?.id || null,
+          errorCategory: categorizeError(error),
+          error: describeError(error)
+        });
+      }
+    }
+    
+    return results;
+  }
+
+  // 孤立記事を追加の投稿先でも非公開・削除する（report ポリシーでは何もしない）
+  // 非公開にした投稿先は contentHash を消し、再公開されたときに改めて公開状態で更新する
+  async handleOrphanDestinations(orphan, entry, policy) {
+    for (const publisher of this.destinations) {
+      const destination = entry.destinations?.[publisher.name];
+      if (!destination || policy === 'report') {
+        continue;
       }
       
-      // 同期履歴を保存
-      history.lastSyncTime = new Date().toISOString();
-      this.saveSyncHistory(history);
-      
-      console.log('\n📊 Sync Summary:');
-      console.log(`✅ Successfully synced: ${syncCount} articles`);
-      console.log(`❌ Errors: ${errorCount} articles`);
-      console.log(`📅 Last sync: ${history.lastSyncTime}`);
-      
-      if (errorCount > 0) {
-        process.exit(1); // エラーがあった場合は非ゼロで終了
+      const removed = policy === 'delete' ? (await publisher.remove(destination.id)).removed : false;
+      if (policy === 'private') {
+        await publisher.unpublish(destination.id);
       }
       
-    } catch (error) {
-      console.error('❌ Sync failed:', error.message);
-      process.exit(1);
+      if (removed) {
+        delete entry.destinations[publisher.name];
+        logger.info(`🗑️  Deleted from ${publisher.label}: ${orphan.title} (ID: ${destination.id})`, { articleId: orphan.id, destination: publisher.name });
+      } else {
+        entry.destinations[publisher.name] = { ...destination, contentHash: null };
+        logger.info(`🔒 Unpublished on ${publisher.label}: ${orphan.title} (ID: ${destination.id})`, { articleId: orphan.id, destination: publisher.name });
+      }
     }
   }
-}
-
-// スクリプトが直接実行された場合のみ実行
-if (require.main === module) {
-  const sync = new MicroCMSQiitaSync();
-  sync.syncArticles();
-}
 
-module.exports = MicroCMSQiitaSync;
\ No newline at end of file
+  // 同期履歴にあるがmicroCMSで非公開・削除された記事を検出
+  async detectOrphans(history, options = {}) {
+    const { policy = 'report', force = false } = options;
+    
+    // 処理済みの孤立記事は対象外（報告のみだった記事は、ポリシー変更後に改めて処理する）
+    const isHandled = entry => entry.orphanAction === 'private' ||
+      entry.orphanAction === 'deleted' ||
+      (entry.orphanAction === 'reported' && policy === 'report');
+    
+    const entries = Object.entries(history.articles);
+    if (entries.length === 0) {
+      return [];
+    }
+    
+    logger.info('🔍 Checking for articles removed from microCMS...');
+    const publishedIds = await this.getPublishedArticleIds();
+    
+    // 報告のみだった記事が再公開された場合は通常の記事に戻す
+    for (const [id, entry] of entries) {
+      if (entry.orphanAction === 'reported' && publishedIds.has(id)) {
+        delete entry.orphanedAt;
+        delete entry.orphanAction;
+        logger.info(`♻️  Article is published again: ${entry.title} (${id})`, { articleId: id, qiitaId: entry.qiitaId });
+      }
+    }
+    
+    const activeCount = entries.filter(([, entry]) => !entry.orphanedAt).length;
+    const orphans = entries
+      .filter(([id, entry]) => !publishedIds.has(id) && !isHandled(entry))
+      .map(([id, entry]) => ({ id, ...entry }));
+    
+    if (orphans.length === 0 || force) {
+      return orphans;
+    }
+    
+    // 取得結果の不備でブログ全体を消してしまわないよう、孤立記事が多すぎる場合は中断する
+    if (publishedIds.size === 0) {
+      throw new Error('microCMS returned no published articles; refusing to treat every synced article as orphaned (use --force-orphans to override)');
+    }
+    
+    if (orphans.length > ORPHAN_SAFETY_MIN_COUNT && orphans.length / activeCount > ORPHAN_SAFETY_MAX_RATIO) {
+      throw new Error(`${orphans.length} of ${activeCount} synced articles look orphaned, which exceeds the safety limit (use --force-orphans to override)`);
+    }
+    
+    return orphans;
+  }
+
+  // 孤立記事をポリシーに従って処理し、履歴に状態を記録
+  async handleOrphans(orphans, history, policy = 'report') {
+    let handledCount = 0;
+    let errorCount = 0;
+    const results = [];
+    
+    for (const orphan of orphans) {
+      const result = { id: orphan.id, title: orphan.title, qiitaId: orphan.qiitaId, action: `orphan:${policy}` };
+      
+      try {
+        let orphanAction = 'reported';
+        
+        if (policy === 'private') {
+          await this.setQiitaArticlePrivate(orphan.qiitaId);
+          orphanAction = 'private';
+          logger.info(`🔒 Made private on Qiita: ${orphan.title} (ID: ${orphan.qiitaId})`, { articleId: orphan.id, qiitaId: orphan.qiitaId });
+        } else if (policy === 'delete') {
+          await this.deleteQiitaArticle(orphan.qiitaId);
+          orphanAction = 'deleted';
+          logger.info(`🗑️  Deleted from Qiita: ${orphan.title} (ID: ${orphan.qiitaId})`, { articleId: orphan.id, qiitaId: orphan.qiitaId });
+        } else {
+          logger.info(`👻 Orphaned: ${orphan.title} (microCMS ID: ${orphan.id}, Qiita ID: ${orphan.qiitaId})`, { articleId: orphan.id, qiitaId: orphan.qiitaId });
+        }
+        
+        await this.handleOrphanDestinations(orphan, history.articles[orphan.id], policy);
+        
+        history.articles[orphan.id] = {
+          ...history.articles[orphan.id],
+          orphanedAt: new Date().toISOString(),
+          orphanAction: orphanAction
+        };
+        handledCount++;
+        
+      } catch (error) {
+        errorCount++;
+        result.errorCategory = categorizeError(error);
+        result.error = describeError(error);
+        logger.error(`Error handling orphaned article ${orphan.title}: ${result.error}`, {
+          articleId: orphan.id,
+          qiitaId: orphan.qiitaId,
+          errorCategory: result.errorCategory
+        });
+      }
+      
+      results.push(result);
+    }
+    
+    return { handledCount, errorCount, results };
+  }
+
+  // Qiitaの記事を取得し、最後に送った本文から変更されていないか確認する
+  async checkDrift(articleId, entry) {
+    const result = {
+      articleId: articleId,
+      qiitaId: entry.qiitaId,
+      title: entry.title,
+      status: 'in-sync',
+      diff: null,
+      item: null
+    };
+    
+    try {
+      result.item = await this.qiitaClient.getItem(entry.qiitaId);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        result.status = 'missing';
+        return result;
+      }
+      throw error;
+    }
+    
+    // 本文のハッシュが記録されていない古い履歴は比較できない
+    if (!entry.bodyHash) {
+      result.status = 'unknown';
+      return result;
+    }
+    
+    if (this.computeBodyHash(result.item.body) === entry.bodyHash) {
+      return result;
+    }
+    
+    result.status = 'drifted';
+    
+    const snapshot = this.loadBodySnapshot(articleId);
+    if (snapshot !== null) {
+      result.diff = createTwoFilesPatch(
+        `last-pushed/${articleId}.md`,
+        `qiita/${entry.qiitaId}.md`,
+        this.normalizeBody(snapshot) + '\n',
+        this.normalizeBody(result.item.body) + '\n'
+      );
+    }
+    
+    return result;
+  }
+
+  printDrift(drift) {
+    logger.warn(`✏️  Qiita item was edited directly: ${drift.title} (ID: ${drift.qiitaId})`, {
+      articleId: drift.articleId,
+      qiitaId: drift.qiitaId,
+      detail: drift.diff || '(no snapshot of the last pushed body is available, diff cannot be shown)'
+    });
+  }
+
+  // 同期済みの全記事についてドリフトと反応（いいね・ストック・閲覧数）を一覧表示
+  async reportDrift() {
+    const history = this.loadSyncHistory();
+    const articles = await this.getMicroCMSArticles();
+    const articlesById = new Map(articles.map(article => [article.id, article]));
+    
+    const rows = [];
+    let driftCount = 0;
+    
+    for (const [articleId, entry] of Object.entries(history.articles)) {
+      if (entry.orphanAction === 'deleted') {
+        continue;
+      }
+      
+      const drift = await this.checkDrift(articleId, entry);
+      const article = articlesById.get(articleId);
+      
+      if (drift.status === 'drifted') {
+        driftCount++;
+        this.printDrift(drift);
+      }
+      
+      rows.push({
+        ID: articleId,
+        Title: article ? article.title : entry.title,
+        'microCMS updated': article ? this.getArticleUpdatedAt(article) : '(not published)',
+        Qiita: entry.qiitaId,
+        Status: drift.status,
+        Likes: drift.item ? drift.item.likes_count : '-',
+        Stocks: drift.item ? drift.item.stocks_count : '-',
+        // page_views_count は自分の記事でもAPIによっては null になる
+        Views: drift.item?.page_views_count ?? '-'
+      });
+      
+      await this.qiitaClient.throttle();
+    }
+    
+    logger.table('\n📈 Qiita Report:', rows);
+    logger.info(`✏️  Drifted: ${driftCount} / ${rows.length} articles`);
+    
+    return rows;
+  }
+
+  // 同期履歴とmicroCMSの記事を突き合わせ、記事ごとの同期状態を返す
+  // state: new / queued / outdated / up-to-date / held / unpublished / orphaned:<処理>
+  async getSyncStatus() {
+    const history = this.loadSyncHistory();
+    const articles = await this.getMicroCMSArticles();
+    const states = { create: 'new', update: 'outdated', skip: 'up-to-date', hold: 'held' };
+    
+    const queued = this.publishQueue.enabled
+      ? new Map(this.publishQueue.schedule(this.publishQueue.load(history)).map(entry => [entry.articleId, entry]))
+      : new Map();
+    
+    const rows = articles.map(article => {
+      const entry = history.articles[article.id];
+      const syncDecision = this.shouldSyncArticle(article, history);
+      const queueEntry = syncDecision.action === 'create' ? queued.get(article.id) : null;
+      
+      return {
+        id: article.id,
+        title: article.title,
+        qiitaId: entry?.orphanAction === 'deleted' ? null : (entry?.qiitaId || null),
+        microCMSUpdatedAt: this.getArticleUpdatedAt(article),
+        lastSyncedAt: entry?.lastSyncedAt || null,
+        state: queueEntry ? 'queued' : states[syncDecision.action],
+        reason: queueEntry ? this.describeQueueEntry(queueEntry) : (syncDecision.reason || null),
+        destinations: this.getDestinationIds(entry)
+      };
+    });
+    
+    // 履歴にあるがmicroCMSで公開されていない記事
+    const publishedIds = new Set(articles.map(article => article.id));
+    Object.entries(history.articles)
+      .filter(([id]) => !publishedIds.has(id))
+      .forEach(([id, entry]) => rows.push({
+        id: id,
+        title: entry.title,
+        qiitaId: entry.qiitaId,
+        microCMSUpdatedAt: null,
+        lastSyncedAt: entry.lastSyncedAt || null,
+        state: entry.orphanAction ? `orphaned:${entry.orphanAction}` : 'unpublished',
+        reason: null,
+        destinations: this.getDestinationIds(entry)
+      }));
+    
+    return {
+      lastSyncTime: history.lastSyncTime,
+      runInProgress: history.runInProgress || null,
+      rows
+    };
+  }
+
+  // 追加の投稿先ごとのID（{ zenn: 'slug', devto: 123 }）
+  getDestinationIds(entry) {
+    return Object.fromEntries(Object.entries(entry?.destinations || {}).map(([name, destination]) => [name, destination.id]));
+  }
+
+  // 記事を1件取得し、Qiitaに送る内容を組み立てる（公開されていない場合は null）
+  async renderArticle(articleId) {
+    const article = await this.getMicroCMSArticle(articleId);
+    if (!article) {
+      return null;
+    }
+    
+    await this.prepareLinkTargets(this.loadSyncHistory());
+    await this.converter.prepareImages(article.content);
+    const payload = this.buildQiitaPayload(article);
+    
+    return {
+      article,
+      payload,
+      validation: this.validator.validate(payload, { sourceHtml: article.content })
+    };
+  }
+
+  // 組み立てた内容とQiita上の現在の記事を比べる
+  // changes: タイトル・タグ・限定共有の違い、diff: 本文の差分（同じ場合は null）
+  async diffWithQiita(articleId) {
+    const entry = this.loadSyncHistory().articles[articleId];
+    if (!entry || entry.orphanAction === 'deleted') {
+      throw new Error(`${articleId} is not linked to a Qiita item`);
+    }
+    
+    const rendered = await this.renderArticle(articleId);
+    if (!rendered) {
+      throw new Error(`${articleId} is not published in microCMS`);
+    }
+    
+    const { payload } = rendered;
+    const item = await this.qiitaClient.getItem(entry.qiitaId);
+    const formatTags = tags => tags.map(tag => [tag.name, ...(tag.versions || [])].join(' ')).join(', ');
+    const changes = [];
+    
+    if (item.title !== payload.title) {
+      changes.push(`title: "${item.title}" → "${payload.title}"`);
+    }
+    if (formatTags(item.tags) !== formatTags(payload.tags)) {
+      changes.push(`tags: ${formatTags(item.tags)} → ${formatTags(payload.tags)}`);
+    }
+    if (Boolean(item.private) !== Boolean(payload.private)) {
+      changes.push(`private: ${item.private} → ${payload.private}`);
+    }
+    
+    const diff = this.normalizeBody(item.body) === this.normalizeBody(payload.body)
+      ? null
+      : createTwoFilesPatch(
+        `qiita/${entry.qiitaId}.md`,
+        `rendered/${articleId}.md`,
+        this.normalizeBody(item.body) + '\n',
+        this.normalizeBody(payload.body) + '\n'
+      );
+    
+    return { ...rendered, qiitaId: entry.qiitaId, item, changes, diff };
+  }
+
+  // 記事とQiitaの記事の対応を同期履歴から外す（Qiitaの記事はそのまま残る）
+  async unlinkArticle(articleId) {
+    return this.withHistoryLock(async () => {
+      const history = this.loadSyncHistory();
+      const entry = history.articles[articleId];
+      
+      if (!entry) {
+        throw new Error(`${articleId} is not in the sync history`);
+      }
+      
+      delete history.articles[articleId];
+      this.removeBodySnapshot(articleId);
+      this.saveSyncHistory(history);
+      
+      return entry;
+    });
+  }
+
+  // 記事を既存のQiitaの記事に結び付け直す（Qiitaで作り直した記事や、履歴から外れた記事など）
+  // Qiitaの現在の本文を最後に送った内容として記録するため、Qiita側は次に記事が更新されたときに上書きされる
+  async relinkArticle(articleId, qiitaId) {
+    const article = await this.getMicroCMSArticle(articleId);
+    if (!article) {
+      throw new Error(`${articleId} is not published in microCMS`);
+    }
+    
+    const item = await this.qiitaClient.getItem(qiitaId);
+    
+    return this.withHistoryLock(async () => {
+      const history = this.loadSyncHistory();
+      const linked = Object.entries(history.articles).find(([id, entry]) =>
+        id !== articleId && entry.qiitaId === qiitaId && entry.orphanAction !== 'deleted'
+      );
+      
+      if (linked) {
+        throw new Error(`Qiita item ${qiitaId} is already linked to ${linked[0]}`);
+      }
+      
+      const previous = history.articles[articleId] || null;
+      const entry = this.linkQiitaItem(history, article, item, { relinkedAt: new Date().toISOString() });
+      this.saveSyncHistory(history);
+      
+      return { previous, entry };
+    });
+  }
+
+  // 履歴にない公開中の記事と、履歴にない自分のQiitaの記事を突き合わせ、対応付けの候補を返す
+  // options.mappingPath: 手動の対応表（{ "記事ID": "QiitaのID" }）、options.only: 対象の記事ID
+  async proposeLinks(options = {}) {
+    const { mappingPath = null, only = null } = options;
+    const matcher = new ItemMatcher({ mappingPath: mappingPath ? path.resolve(this.cwd, mappingPath) : null });
+    const history = this.loadSyncHistory();
+    const isLinked = entry => Boolean(entry) && entry.orphanAction !== 'deleted';
+
+    const articles = (await this.getMicroCMSArticles())
+      .filter(article => !isLinked(history.articles[article.id]))
+      .filter(article => !only || only.includes(article.id));
+
+    logger.info('🔍 Fetching your Qiita items...');
+    const linkedIds = new Set(Object.values(history.articles).filter(isLinked).map(entry => entry.qiitaId));
+    const items = (await this.qiitaClient.listAuthenticatedUserItems())
+      .filter(item => !linkedIds.has(item.id));
+
+    logger.info(`Comparing ${articles.length} unlinked articles with ${items.length} unlinked Qiita items`);
+    return matcher.match(articles, items);
+  }
+
+  // 確認済みの候補（proposeLinks の proposals）を同期履歴に記録する
+  // 候補を出した後に別の同期で結び付けられた記事・Qiitaの記事は skipped として返す
+  async importLinks(proposals) {
+    return this.withHistoryLock(async () => {
+      const history = this.loadSyncHistory();
+      const linkedIds = new Set(Object.values(history.articles)
+        .filter(entry => entry.orphanAction !== 'deleted')
+        .map(entry => entry.qiitaId));
+      const imported = [];
+      const skipped = [];
+
+      for (const { article, item, confidence, reasons } of proposals) {
+        const current = history.articles[article.id];
+        if ((current && current.orphanAction !== 'deleted') || linkedIds.has(item.id)) {
+          skipped.push({ article, item });
+          continue;
+        }
+
+        this.linkQiitaItem(history, article, item, {
+          importedAt: new Date().toISOString(),
+          importMatch: { confidence, reasons }
+        });
+        linkedIds.add(item.id);
+        imported.push({ article, item });
+      }
+
+      if (imported.length > 0) {
+        this.saveSyncHistory(history);
+      }
+
+      return { imported, skipped };
+    });
+  }
+
+  // 新規投稿する記事を予約キューに追加し、今回の実行で投稿する記事を決める（history は書き換えない）
+  // 順番が来た記事のうち articles にないもの（差分取得で取得していない記事）は個別に取得する
+  // 戻り値: { state: 保存するキュー, dueIds: 今回投稿する記事, queuedIds: 順番を待つ記事,
+  //          schedule: 記事ID → 投稿予定日を見積もったキューの項目, extraArticles: 個別に取得した記事 }
+  async prepareQueue(history, articles, options = {}) {
+    const { fetchDue = true, now = new Date() } = options;
+    const state = this.publishQueue.load(history);
+
+    // 取り込み・結び付け直しなどで履歴に記録された記事はキューから外す
+    state.entries
+      .filter(entry => history.articles[entry.articleId] && history.articles[entry.articleId].orphanAction !== 'deleted')
+      .forEach(entry => this.publishQueue.remove(state, entry.articleId));
+
+    for (const article of articles) {
+      if (this.shouldSyncArticle(article, history, { now }).action === 'create' &&
+          this.publishQueue.enqueue(state, article, this.converter.getCategoryKeys(article.category), now)) {
+        logger.debug(`🗓️  Added to the publish queue: ${article.title}`, { articleId: article.id });
+      }
+    }
+
+    const dueIds = new Set();
+    const extraArticles = [];
+
+    for (const entry of this.publishQueue.due(state, now)) {
+      if (articles.some(article => article.id === entry.articleId)) {
+        dueIds.add(entry.articleId);
+        continue;
+      }
+      if (!fetchDue) {
+        continue;
+      }
+
+      const article = await this.getMicroCMSArticle(entry.articleId);
+      if (article) {
+        dueIds.add(entry.articleId);
+        extraArticles.push(article);
+      } else {
+        this.publishQueue.remove(state, entry.articleId);
+        logger.info(`🗓️  Removed from the publish queue: ${entry.title} (no longer published in microCMS)`, { articleId: entry.articleId });
+      }
+    }
+
+    return {
+      state,
+      dueIds,
+      queuedIds: new Set(state.entries.map(entry => entry.articleId).filter(id => !dueIds.has(id))),
+      schedule: new Map(this.publishQueue.schedule(state, now).map(entry => [entry.articleId, entry])),
+      extraArticles
+    };
+  }
+
+  describeQueueEntry(entry) {
+    const estimate = entry.estimatedDate ? `estimated ${entry.estimatedDate}` : 'not scheduled yet';
+    return `publish queue #${entry.position}, ${estimate}`;
+  }
+
+  // 処理結果を予約キューに反映する
+  // 新規投稿した記事は今日の投稿数に数え、同期を見送られた記事（qiitaSync がオフなど）はキューから外す
+  // 投稿に失敗した記事（検査エラー・APIエラー）はキューの最後に回し、後ろの記事の投稿を止めない
+  updatePublishQueue(history, article, result) {
+    if (!this.publishQueue.enabled) {
+      return;
+    }
+
+    if (!history.publishQueue) {
+      history.publishQueue = this.publishQueue.load(history);
+    }
+
+    if (result.status === 'synced' && result.action === 'create') {
+      this.publishQueue.markPublished(history.publishQueue, article.id);
+    } else if (result.status === 'held' && this.publishQueue.remove(history.publishQueue, article.id)) {
+      logger.info(`🗓️  Removed from the publish queue: ${article.title} (${result.reason})`, { articleId: article.id });
+    } else if (['invalid', 'error'].includes(result.status)) {
+      const entry = this.publishQueue.markFailed(history.publishQueue, article.id);
+      if (entry) {
+        logger.warn(`🗓️  Moved to the end of the publish queue: ${article.title} (failed ${entry.failures} times, retrying after ${entry.notBefore})`, { articleId: article.id });
+      }
+    }
+  }
+
+  // 定期実行の時刻（GitHub Actions の cron）が投稿する時間帯に入らない場合は、新規投稿がキューに残り続けるため警告する
+  warnIfScheduleOutsideWindows() {
+    const { crons, outside } = this.publishQueue.findWorkflowSchedulesOutsideWindows();
+    if (crons.length > 0 && outside.length === crons.length) {
+      logger.warn(`⚠️  PUBLISH_WINDOWS (${this.env.PUBLISH_WINDOWS}, ${this.publishQueue.timeZone}) never includes the scheduled runs (cron: ${outside.join(' / ')}), new articles will stay in the publish queue`);
+    }
+  }
+
+  // 予約キューの内容と投稿予定日の見積もり
+  getPublishQueue() {
+    const state = this.publishQueue.load(this.loadSyncHistory());
+
+    return {
+      enabled: this.publishQueue.enabled,
+      dailyLimit: this.publishQueue.dailyLimit,
+      windows: this.env.PUBLISH_WINDOWS || null,
+      timeZone: this.publishQueue.timeZone,
+      remainingToday: this.publishQueue.enabled ? this.publishQueue.remainingToday(state) : null,
+      entries: this.publishQueue.enabled
+        ? this.publishQueue.schedule(state)
+        : state.entries.map((entry, index) => ({ ...entry, position: index + 1, estimatedDate: null }))
+    };
+  }
+
+  // 予約キューを書き換える（edit(queue, state) の戻り値を返す）
+  async editPublishQueue(edit) {
+    return this.withHistoryLock(async () => {
+      const history = this.loadSyncHistory();
+      const state = this.publishQueue.load(history);
+      const result = edit(this.publishQueue, state);
+
+      history.publishQueue = state;
+      this.saveSyncHistory(history);
+
+      return result;
+    });
+  }
+
+  // 記事ごとに次の同期で行う処理を判定する（Qiitaには送信せず、ログも出力しない）
+  // action: create / update / skip / unchanged / hold / invalid / queued / deferred
+  // options.queuedIds: 予約キューで順番を待つ記事（新規投稿の場合は queued にする）
+  async planArticles(articles, history, options = {}) {
+    const { maxArticles = DEFAULT_MAX_ARTICLES, reRender = false, queuedIds = null } = options;
+    const plan = [];
+    let plannedCount = 0;
+    
+    for (const article of articles) {
+      await this.converter.prepareImages(article.content);
+      const payload = this.buildQiitaPayload(article);
+      const syncDecision = this.shouldSyncArticle(article, history, { payload, reRender });
+      const validation = this.validator.validate(payload, { sourceHtml: article.content });
+      let action = syncDecision.action;
+      
+      // 上限を超える分は次回の実行に回る
+      if (syncDecision.shouldSync && !validation.valid) {
+        action = 'invalid';
+      } else if (syncDecision.action === 'create' && queuedIds?.has(article.id)) {
+        action = 'queued';
+      } else if (syncDecision.shouldSync) {
+        if (plannedCount >= maxArticles) {
+          action = 'deferred';
+        } else {
+          plannedCount++;
+        }
+      }
+      
+      plan.push({ article, payload, syncDecision, validation, action });
+    }
+    
+    return plan;
+  }
+
+  // Qiitaを呼ばずに同期計画と変換後のMarkdownを出力する
+  async dryRunSync(articles, history, options = {}) {
+    const {
+      maxArticles = DEFAULT_MAX_ARTICLES,
+      outputDir = DEFAULT_DRY_RUN_OUTPUT_DIR,
+      reRender = false,
+      orphans = [],
+      orphanPolicy = 'report',
+      queuedIds = null
+    } = options;
+    
+    const outputPath = path.resolve(this.cwd, outputDir);
+    fs.mkdirSync(outputPath, { recursive: true });
+    
+    const plan = [];
+    
+    for (const { article, payload, syncDecision, validation, action } of await this.planArticles(articles, history, { maxArticles, reRender, queuedIds })) {
+      this.logValidation(article, validation);
+      if (action === 'hold') {
+        logger.info(`✋ Holding: ${article.title} (${syncDecision.reason})`, { articleId: article.id });
+      }
+      
+      const markdownFile = path.join(outputPath, `${article.id}.md`);
+      fs.writeFileSync(markdownFile, payload.body);
+      
+      // 追加の投稿先に送る内容は <出力先>/<投稿先>/<記事ID>.md に書き出す
+      for (const publisher of this.destinations) {
+        const destinationDir = path.join(outputPath, publisher.name);
+        fs.mkdirSync(destinationDir, { recursive: true });
+        fs.writeFileSync(path.join(destinationDir, `${article.id}.md`), publisher.preview(publisher.render(payload, article)));
+      }
+      
+      plan.push({
+        id: article.id,
+        action: action,
+        qiitaId: syncDecision.qiitaId || history.articles[article.id]?.qiitaId || null,
+        title: payload.title,
+        tags: payload.tags.map(tag => tag.name),
+        bodyLength: payload.body.length,
+        file: path.relative(this.cwd, markdownFile),
+        reason: syncDecision.reason || null,
+        errors: validation.errors,
+        warnings: validation.warnings
+      });
+    }
+    
+    for (const orphan of orphans) {
+      plan.push({
+        id: orphan.id,
+        action: `orphan:${orphanPolicy}`,
+        qiitaId: orphan.qiitaId,
+        title: orphan.title,
+        tags: [],
+        bodyLength: 0,
+        file: null,
+        reason: null,
+        errors: [],
+        warnings: []
+      });
+    }
+    
+    fs.writeFileSync(path.join(outputPath, 'plan.json'), JSON.stringify(plan, null, 2));
+    
+    logger.table('\n🧾 Sync Plan (dry run):', plan.map(entry => ({
+      ID: entry.id,
+      Action: entry.action,
+      Title: entry.title,
+      Tags: entry.tags.join(', '),
+      'Body (chars)': entry.bodyLength,
+      Problems: entry.errors.length + entry.warnings.length
+    })));
+    
+    const countBy = action => plan.filter(entry => entry.action === action).length;
+    logger.info(`🆕 Create: ${countBy('create')}  🔄 Update: ${countBy('update')}  ⏭️  Skip: ${countBy('skip') + countBy('unchanged')}  ✋ Held: ${countBy('hold')}  🗓️  Queued: ${countBy('queued')}  ⏸️  Deferred: ${countBy('deferred')}  🚫 Invalid: ${countBy('invalid')}  👻 Orphaned: ${orphans.length}`);
+    logger.info(`📁 Markdown written to: ${outputPath}`);
+    logger.info('ℹ️  Dry run: no requests were sent to Qiita and sync history was not saved');
+    
+    return plan;
+  }
+
+  validatePolicies(orphanPolicy, driftPolicy) {
+    if (!ORPHAN_POLICIES.includes(orphanPolicy)) {
+      throw new Error(`Unknown orphan policy: ${orphanPolicy} (expected one of ${ORPHAN_POLICIES.join(', ')})`);
+    }
+    if (!DRIFT_POLICIES.includes(driftPolicy)) {
+      throw new Error(`Unknown drift policy: ${driftPolicy} (expected one of ${DRIFT_POLICIES.join(', ')})`);
+    }
+  }
+
+  // Webhookなどで1件のコンテンツだけを同期する（差分取得の起点 lastSyncTime は変更しない）
+  // content: 公開中のコンテンツ。非公開・削除された場合は null を渡すと孤立記事として扱う
+  async syncSingleContent(endpoint, contentId, content, options = {}) {
+    const { orphanPolicy = 'report', driftPolicy = 'fail' } = options;
+    this.validatePolicies(orphanPolicy, driftPolicy);
+    this.prepareDestinations();
+    
+    const endpointConfig = this.syncConfig.endpoints.find(config => config.endpoint === endpoint);
+    if (!endpointConfig) {
+      logger.info(`ℹ️  Ignoring ${endpoint}/${contentId}: endpoint is not in the sync config`);
+      return { status: 'ignored' };
+    }
+    
+    return this.withHistoryLock(async () => {
+      const history = this.loadSyncHistory();
+      let result;
+      
+      if (content && this.isPublishedArticle(content)) {
+        // 新しく投稿した場合、この記事へのリンクを含む記事には再同期の印を付け、次の定期実行で更新する
+        await this.prepareLinkTargets(history);
+        const article = this.mapMicroCMSContent(content, endpointConfig);
+        // 予約キューを使う場合は、新しい記事もキューに入れて順番が来たときだけ投稿する
+        const queue = this.publishQueue.enabled ? await this.prepareQueue(history, [article], { fetchDue: false }) : null;
+        if (queue) {
+          history.publishQueue = queue.state;
+        }
+        result = await this.processArticle(article, history, {
+          driftPolicy,
+          queued: queue?.queuedIds.has(article.id) ? queue.schedule.get(article.id) : null
+        });
+        this.updatePublishQueue(history, article, result);
+      } else {
+        const historyKey = endpointConfig.historyKeyPrefix + contentId;
+        const entry = history.articles[historyKey];
+        
+        // 同期していない記事や、処理済みの孤立記事は何もしない
+        if (!entry || entry.orphanAction === 'private' || entry.orphanAction === 'deleted' ||
+            (entry.orphanAction === 'reported' && orphanPolicy === 'report')) {
+          logger.info(`⏭️  Skipping: ${endpoint}/${contentId} (not synced to Qiita)`);
+          return { status: 'skipped' };
+        }
+        
+        const { errorCount } = await this.handleOrphans([{ id: historyKey, ...entry }], history, orphanPolicy);
+        result = { status: errorCount > 0 ? 'error' : 'orphaned' };
+      }
+      
+      this.saveSyncHistory(history);
+      return result;
+    });
+  }
+
+  // 再同期の印が付いた記事のうち articles にないものを取得する（公開されていない記事は孤立記事として処理される）
+  async fetchResyncArticles(history, articles) {
+    const resyncArticles = [];
+    
+    for (const [articleId, entry] of Object.entries(history.articles)) {
+      if (!entry.resyncRequestedAt || entry.orphanAction || articles.some(article => article.id === articleId)) {
+        continue;
+      }
+      
+      const article = await this.getMicroCMSArticle(articleId);
+      if (article) {
+        resyncArticles.push(article);
+      }
+    }
+    
+    return resyncArticles;
+  }
+
+  // 実行中に再同期の印を付けた記事を、処理する記事の最後に加える
+  // （current より後にある記事はそのまま処理されるため加えない）
+  async appendResyncArticles(resyncIds = [], articles, current, extraArticles) {
+    const remaining = articles.slice(articles.indexOf(current) + 1);
+    
+    for (const articleId of resyncIds) {
+      if (remaining.some(article => article.id === articleId)) {
+        continue;
+      }
+      
+      const article = articles.find(candidate => candidate.id === articleId) || await this.getMicroCMSArticle(articleId);
+      if (article) {
+        articles.push(article);
+        extraArticles.add(article);
+      }
+    }
+  }
+
+  // 1記事を判定し、必要ならQiitaと追加の投稿先に投稿・更新して履歴に記録する
+  // 戻り値の status: synced / unchanged / skipped / held / invalid / queued / deferred / drifted
+  // （qiitaId・reason・errors・warnings・destinations は実行結果の記録に使う）
+  async processArticle(article, history, options = {}) {
+    await this.converter.prepareImages(article.content);
+    const payload = this.buildQiitaPayload(article);
+    const result = await this.processQiitaArticle(article, history, payload, options);
+    
+    // Qiitaと同期済みの記事だけを追加の投稿先に送る（見送り・検査エラー・ドリフトの記事は送らない）
+    if (this.destinations.length > 0 && ['synced', 'unchanged', 'skipped'].includes(result.status)) {
+      result.destinations = await this.publishToDestinations(article, history, payload);
+    }
+    
+    return result;
+  }
+
+  async processQiitaArticle(article, history, payload, options = {}) {
+    // queued: 予約キューで順番を待っている場合のキューの項目（新規投稿を見送る）
+    const { reRender = false, driftPolicy = 'fail', limitReached = false, queued = null } = options;
+    const fields = { articleId: article.id };
+    
+    const syncDecision = this.shouldSyncArticle(article, history, { payload, reRender });
+    const qiitaId = syncDecision.qiitaId || history.articles[article.id]?.qiitaId || null;
+    
+    if (syncDecision.action === 'unchanged') {
+      // 出力に変化がないため更新日時のみ記録し、次回以降の比較対象から外す
+      logger.info(`⏭️  Skipping: ${article.title} (rendered output unchanged)`, fields);
+      history.articles[article.id].microCMSUpdatedAt = this.getArticleUpdatedAt(article);
+      delete history.articles[article.id].resyncRequestedAt;
+      return { status: 'unchanged', qiitaId };
+    }
+    
+    if (syncDecision.action === 'hold') {
+      logger.info(`✋ Holding: ${article.title} (${syncDecision.reason})`, fields);
+      return { status: 'held', retry: syncDecision.retry, qiitaId, reason: syncDecision.reason };
+    }
+    
+    if (!syncDecision.shouldSync) {
+      logger.info(`⏭️  Skipping: ${article.title} (no changes)`, fields);
+      return { status: 'skipped', qiitaId };
+    }
+    
+    // Qiitaに拒否される内容は送らず、エラーとは別に数える
+    const validation = this.validatePayload(article, payload);
+    if (!validation.valid) {
+      logger.error(`🚫 Skipping invalid article: ${article.title || article.id}`, fields);
+      return { status: 'invalid', qiitaId, errors: validation.errors, warnings: validation.warnings };
+    }
+    
+    if (syncDecision.action === 'create' && queued) {
+      logger.info(`🗓️  Queued: ${article.title} (${this.describeQueueEntry(queued)})`, fields);
+      return { status: 'queued', qiitaId, reason: this.describeQueueEntry(queued), warnings: validation.warnings };
+    }
+    
+    if (limitReached) {
+      return { status: 'deferred', qiitaId, warnings: validation.warnings };
+    }
+    
+    // 更新前にQiita上で直接編集されていないか確認
+    if (syncDecision.action === 'update' && driftPolicy !== 'overwrite') {
+      const drift = await this.checkDrift(article.id, history.articles[article.id]);
+      
+      if (drift.status === 'drifted') {
+        this.printDrift(drift);
+        
+        if (driftPolicy === 'fail') {
+          logger.error(`❌ Qiita item ${drift.qiitaId} was edited on Qiita (use --drift-policy=overwrite to replace it)`, { ...fields, qiitaId });
+          return { status: 'drifted', failed: true, qiitaId, warnings: validation.warnings };
+        }
+        
+        logger.warn(`⏭️  Skipping update to keep the Qiita edits: ${article.title}`, { ...fields, qiitaId });
+        return { status: 'drifted', failed: false, qiitaId, warnings: validation.warnings };
+      }
+    }
+    
+    let qiitaArticle;
+    
+    if (syncDecision.action === 'create') {
+      qiitaArticle = await this.createQiitaArticle(article, payload);
+    } else if (syncDecision.action === 'update') {
+      qiitaArticle = await this.updateQiitaArticle(article, syncDecision.qiitaId, payload);
+    }
+    
+    // 履歴を更新
+    this.recordSyncedArticle(history, article, qiitaArticle, payload);
+    // 新しく投稿した記事へのリンクを含む記事は、リンクをQiitaの記事のURLにするため再同期する
+    const resyncIds = syncDecision.action === 'create' ? this.requestLinkedResync(history, article.id) : [];
+    
+    return { status: 'synced', action: syncDecision.action, qiitaId: qiitaArticle.id, warnings: validation.warnings, resyncIds };
+  }
+
+  // processArticle の結果を実行結果の記録（sync-report.json）の形にする
+  buildReportEntry(article, result) {
+    const actions = {
+      synced: result.action,
+      unchanged: 'unchanged',
+      skipped: 'skip',
+      held: 'hold',
+      invalid: 'invalid',
+      queued: 'queued',
+      deferred: 'deferred',
+      drifted: 'drifted'
+    };
+    const entry = {
+      id: article.id,
+      title: article.title,
+      endpoint: article.endpoint,
+      action: actions[result.status],
+      qiitaId: result.qiitaId,
+      reason: result.reason,
+      warnings: result.warnings
+    };
+    
+    if (result.status === 'invalid') {
+      entry.errorCategory = 'invalid';
+      entry.error = result.errors.join('; ');
+    } else if (result.status === 'drifted' && result.failed) {
+      entry.errorCategory = 'drift';
+      entry.error = 'Qiita item was edited on Qiita';
+    }
+    
+    if (result.destinations) {
+      entry.destinations = Object.fromEntries(result.destinations.map(({ destination, ...rest }) => [destination, rest]));
+      
+      const failure = result.destinations.find(destination => destination.action === 'error');
+      if (failure && !entry.errorCategory) {
+        entry.errorCategory = failure.errorCategory;
+        entry.error = `${failure.destination}: ${failure.error}`;
+      }
+    }
+    
+    return entry;
+  }
+
+  writeReport(report) {
+    try {
+      report.write();
+      logger.info(`🧾 Report written to: ${path.relative(this.cwd, report.filePath)}`, {
+        report: report.filePath,
+        summary: report.countByAction(),
+        failures: report.getFailures().length
+      });
+    } catch (error) {
+      logger.warn(`Failed to write sync report: ${error.message}`);
+    }
+  }
+
+  async syncArticles(options = {}) {
+    const {
+      incremental = false,
+      maxArticles = DEFAULT_MAX_ARTICLES, // 1回の実行で作成・更新する最大記事数
+      dryRun = false,
+      outputDir = DEFAULT_DRY_RUN_OUTPUT_DIR,
+      reRender = false, // 全記事を現在の変換ルールで組み立て直し、出力が変わった記事だけ更新する
+      orphanPolicy = 'report',
+      forceOrphans = false, // 孤立記事の安全装置を無効化する
+      driftPolicy = 'fail',
+      recover = false, // 履歴に記録されていないQiitaの記事を探して復元する
+      only = null, // 指定した記事（同期履歴のキー）だけを同期する
+      since = null, // 指定した日時以降に更新された記事だけを取得する
+      confirm = null // 投稿・更新の前に呼ばれ、false を返すと中止する（async (pending) => boolean）
+    } = options;
+    // 一部の記事だけを対象にした実行では、差分取得の起点を進めない
+    const partial = Boolean(only || since);
+    let exitCode = 0;
+    let cancelled = false;
+    // ドライランは plan.json に計画を出力するため、実行結果は記録しない
+    const report = dryRun ? null : new SyncReport({
+      filePath: this.reportPath,
+      runOptions: { incremental, maxArticles, reRender, orphanPolicy, driftPolicy, recover, only, since }
+    });
+
+    try {
+      this.validatePolicies(orphanPolicy, driftPolicy);
+      this.prepareDestinations();
+      
+      logger.info('🚀 Starting microCMS to Qiita sync...');
+      
+      // ドライランは履歴を書き換えないためロックしない
+      if (!dryRun) {
+        await this.historyStore.lock.acquire();
+      }
+      
+      // 実行中に更新された記事を取りこぼさないよう、取得前の時刻を控えておく
+      const runStartedAt = new Date().toISOString();
+      const history = this.loadSyncHistory();
+      await this.prepareLinkTargets(history);
+      
+      if (reRender) {
+        logger.info('🔁 Re-render mode: rebuilding every article with the current converter');
+      } else if (incremental && !history.lastSyncTime) {
+        logger.info('ℹ️  No previous sync time found, fetching all articles');
+      }
+      
+      // 再レンダリングは全記事が対象のため差分取得しない
+      let articles = await this.getMicroCMSArticles({
+        since: since || (incremental && !reRender ? history.lastSyncTime : null)
+      });
+      
+      const missingIds = only ? only.filter(id => !articles.some(article => article.id === id)) : [];
+      if (only) {
+        articles = articles.filter(article => only.includes(article.id));
+        missingIds.forEach(id => {
+          logger.error(`❌ Article not found or not published in microCMS: ${id}`, { articleId: id, errorCategory: 'not-found' });
+          report?.addArticle({ id, action: 'error', errorCategory: 'not-found', error: 'Not found or not published in microCMS' });
+        });
+      }
+      
+      // 予約キューを使う場合は、新規投稿をキューに入れて順番が来た記事だけを投稿する
+      // （--only で指定した記事はキューを通さずに投稿する）
+      const useQueue = this.publishQueue.enabled && !only;
+      if (useQueue) {
+        this.warnIfScheduleOutsideWindows();
+      }
+      
+      if (dryRun) {
+        const queue = useQueue ? await this.prepareQueue(history, articles) : null;
+        const resyncArticles = only ? [] : await this.fetchResyncArticles(history, articles);
+        // 指定した記事だけを対象にする場合は、他の記事の孤立判定を行わない
+        const orphans = only ? [] : await this.detectOrphans(history, { policy: orphanPolicy, force: forceOrphans });
+        const plan = await this.dryRunSync([...articles, ...(queue?.extraArticles || []), ...resyncArticles], history, {
+          maxArticles,
+          outputDir,
+          reRender,
+          orphans,
+          orphanPolicy,
+          queuedIds: queue?.queuedIds
+        });
+        return { exitCode: missingIds.length > 0 ? 1 : 0, plan };
+      }
+      
+      // 前回の実行が途中で終了していた場合は、投稿済みで履歴にない記事を復元する
+      if (recover || history.runInProgress) {
+        if (history.runInProgress) {
+          logger.warn(`⚠️  Previous run started at ${history.runInProgress} did not finish`);
+        }
+        // 差分取得でも前回の起点は進んでいないため、途中で終了した実行の記事は articles に含まれる
+        const candidates = recover && incremental && !reRender ? await this.getMicroCMSArticles() : articles;
+        await this.recoverUnrecordedItems(history, candidates);
+      }
+      
+      // 復元した記事を新規投稿としてキューに入れないよう、復元の後でキューを更新する
+      const queue = useQueue ? await this.prepareQueue(history, articles) : null;
+      // 差分取得の範囲外の記事（順番が来た予約キューの記事・再同期の印が付いた記事）は個別に取得して最後に処理する
+      const extraArticles = new Set(queue?.extraArticles);
+      if (!only) {
+        (await this.fetchResyncArticles(history, [...articles, ...extraArticles])).forEach(article => extraArticles.add(article));
+      }
+      articles = [...articles, ...extraArticles];
+      
+      if (confirm) {
+        const pending = (await this.planArticles(articles, history, { maxArticles, reRender, queuedIds: queue?.queuedIds }))
+          .filter(entry => entry.action === 'create' || entry.action === 'update');
+        
+        if (pending.length > 0 && !(await confirm(pending))) {
+          logger.info('🛑 Sync cancelled, nothing was sent to Qiita');
+          cancelled = true;
+          return { exitCode: 0, cancelled };
+        }
+      }
+      
+      if (queue) {
+        history.publishQueue = queue.state;
+      }
+      history.runInProgress = runStartedAt;
+      this.saveSyncHistory(history, { quiet: true });
+      
+      let syncCount = 0;
+      let unchangedCount = 0;
+      let errorCount = missingIds.length;
+      let deferredCount = 0;
+      let orphanCount = 0;
+      let driftCount = 0;
+      let invalidCount = 0;
+      let heldCount = 0;
+      let queuedCount = 0;
+      // 先頭から途切れずに処理できた最後の記事の更新日時（次回の差分取得の起点）
+      let cursor = history.lastSyncTime;
+      let cursorStopped = false;
+      
+      for (const article of articles) {
+        // 先頭から途切れずに処理できている間だけ起点を進める
+        const advanceCursor = () => {
+          if (!cursorStopped) {
+            cursor = this.getArticleUpdatedAt(article);
+          }
+        };
+        
+        const articleStartedAt = Date.now();
+        // 個別に取得した記事（差分取得の範囲外）は、起点に影響させない
+        // （失敗した場合もキューや再同期の印が残るため、次回の実行で改めて処理する）
+        const savedCursor = extraArticles.has(article) ? { cursor, cursorStopped } : null;
+        
+        try {
+          const result = await this.processArticle(article, history, {
+            reRender,
+            driftPolicy,
+            // 上限に達したら残りは次回の実行に回す
+            limitReached: syncCount >= maxArticles,
+            queued: queue?.queuedIds.has(article.id) ? queue.schedule.get(article.id) : null
+          });
+          this.updatePublishQueue(history, article, result);
+          report.addArticle({ ...this.buildReportEntry(article, result), durationMs: Date.now() - articleStartedAt });
+          
+          // 新しく投稿した記事へのリンクを含む記事のうち、処理済みまたは取得していない記事は今回の実行の最後に更新する
+          if (!only) {
+            await this.appendResyncArticles(result.resyncIds, articles, article, extraArticles);
+          }
+          
+          // 追加の投稿先で失敗した記事は次回の差分取得にも含まれるよう、起点をここで止める
+          if (result.destinations?.some(destination => destination.action === 'error')) {
+            errorCount++;
+            cursorStopped = true;
+          }
+          
+          switch (result.status) {
+            case 'synced':
+              syncCount++;
+              advanceCursor();
+              // API制限を考慮し、残りリクエスト数が少ない場合のみ待機
+              if (syncCount < articles.length) {
+                await this.qiitaClient.throttle();
+              }
+              break;
+            case 'unchanged':
+              unchangedCount++;
+              advanceCursor();
+              break;
+            case 'skipped':
+              advanceCursor();
+              break;
+            case 'held':
+              heldCount++;
+              // 公開待ちの記事は更新されなくても次回以降に取得し直す必要がある
+              if (result.retry) {
+                cursorStopped = true;
+              } else {
+                advanceCursor();
+              }
+              break;
+            case 'invalid':
+              invalidCount++;
+              // 記事を直さなくても、辞書やテンプレートの修正後に再度対象になるよう起点を止める
+              cursorStopped = true;
+              break;
+            case 'queued':
+              // 予約キューに記録されているため、起点を進めても次回以降に投稿される
+              queuedCount++;
+              advanceCursor();
+              break;
+            case 'deferred':
+              deferredCount++;
+              cursorStopped = true;
+              break;
+            case 'drifted':
+              // Qiita側の変更を残し、次回の実行でも改めて確認する
+              driftCount++;
+              cursorStopped = true;
+              if (result.failed) {
+                errorCount++;
+              }
+              break;
+          }
+          
+        } catch (error) {
+          errorCount++;
+          // 失敗した記事は次回の差分取得にも含まれるよう、起点をここで止める
+          cursorStopped = true;
+          logger.error(`Error processing article ${article.title}: ${describeError(error)}`, {
+            articleId: article.id,
+            errorCategory: categorizeError(error)
+          });
+          this.updatePublishQueue(history, article, { status: 'error' });
+          report.addArticle({
+            id: article.id,
+            title: article.title,
+            endpoint: article.endpoint,
+            action: 'error',
+            qiitaId: history.articles[article.id]?.qiitaId,
+            durationMs: Date.now() - articleStartedAt,
+            errorCategory: categorizeError(error),
+            error: describeError(error)
+          });
+        }
+        
+        if (savedCursor) {
+          ({ cursor, cursorStopped } = savedCursor);
+        }
+        
+        // 異常終了しても投稿済みの記事を重複投稿しないよう、1記事ごとに保存する
+        // （保存できない場合は続けると重複の原因になるため、同期全体を中断する）
+        this.saveSyncHistory(history, { quiet: true });
+      }
+      
+      // microCMSで非公開・削除された記事をQiitaに反映（指定した記事だけを同期する場合は行わない）
+      try {
+        const orphans = only ? [] : await this.detectOrphans(history, { policy: orphanPolicy, force: forceOrphans });
+        const orphanResult = await this.handleOrphans(orphans, history, orphanPolicy);
+        orphanCount = orphanResult.handledCount;
+        errorCount += orphanResult.errorCount;
+        orphanResult.results.forEach(result => report.addArticle(result));
+      } catch (error) {
+        errorCount++;
+        logger.error(`❌ Orphan detection aborted: ${error.message}`, { errorCategory: categorizeError(error) });
+        report.setError(error);
+      }
+      
+      // 同期履歴を保存
+      // 全件処理できた場合は取得前の時刻、積み残しがある場合はその手前までを同期済みとする
+      if (!partial) {
+        history.lastSyncTime = cursorStopped ? cursor : runStartedAt;
+      }
+      delete history.runInProgress;
+      this.saveSyncHistory(history);
+      
+      logger.info('\n📊 Sync Summary:');
+      logger.info(`✅ Successfully synced: ${syncCount} articles`);
+      if (unchangedCount > 0) {
+        logger.info(`🟰 Unchanged output: ${unchangedCount} articles`);
+      }
+      logger.info(`❌ Errors: ${errorCount} articles`);
+      if (invalidCount > 0) {
+        logger.info(`🚫 Invalid (not sent to Qiita): ${invalidCount} articles`);
+      }
+      if (heldCount > 0) {
+        logger.info(`✋ Held by microCMS fields: ${heldCount} articles`);
+      }
+      if (driftCount > 0) {
+        logger.info(`✏️  Edited on Qiita (${driftPolicy}): ${driftCount} articles`);
+      }
+      if (orphanCount > 0) {
+        logger.info(`👻 Orphaned (${orphanPolicy}): ${orphanCount} articles`);
+      }
+      if (queuedCount > 0) {
+        logger.info(`🗓️  Waiting in the publish queue: ${queuedCount} articles (daily limit: ${this.publishQueue.dailyLimit})`);
+      }
+      if (deferredCount > 0) {
+        logger.info(`⏸️  Deferred to next run: ${deferredCount} articles (limit: ${maxArticles})`);
+      }
+      logger.info(`📅 Last sync: ${history.lastSyncTime}${partial ? ' (not advanced for --only / --since)' : ''}`);
+      
+      if (errorCount > 0 || invalidCount > 0) {
+        exitCode = 1; // エラーや同期できない記事があった場合は非ゼロで終了
+      }
+      
+    } catch (error) {
+      logger.error(`❌ Sync failed: ${describeError(error)}`, { errorCategory: categorizeError(error) });
+      report?.setError(error);
+      exitCode = 1;
+    } finally {
+      if (report && !cancelled) {
+        this.writeReport(report);
+      }
+      this.historyStore.lock.release();
+    }
+    
+    return { exitCode };
+  }
+}
+
+module.exports = MicroCMSQiitaSync;
+
+// スクリプトが直接実行された場合は CLI の sync コマンドとして実行する（npm run sync と同じ）
+if (require.main === module) {
+  require('./cli').run(['sync', '--yes', ...process.argv.slice(2)]).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
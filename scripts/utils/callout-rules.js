@@ -0,0 +1,79 @@
+// 注意書きボックス（<div class="note"> など）と <details> をQiitaの記法に変換するturndownルール
+
+// クラス名 → Qiitaのノートの種類（info / warn / alert）
+const DEFAULT_NOTE_CLASS_MAP = {
+  note: 'info',
+  info: 'info',
+  tip: 'info',
+  warning: 'warn',
+  warn: 'warn',
+  caution: 'warn',
+  alert: 'alert',
+  danger: 'alert',
+  error: 'alert'
+};
+
+const NOTE_TYPES = ['info', 'warn', 'alert'];
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function findNoteType(node, classMap) {
+  const classNames = (node.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  const matched = classNames.find(className => Object.hasOwn(classMap, className));
+  return matched ? classMap[matched] : null;
+}
+
+// 既定の対応表に設定の対応表を重ね、不正な種類はエラーにする
+function buildNoteClassMap(customMap = {}) {
+  const classMap = { ...DEFAULT_NOTE_CLASS_MAP, ...customMap };
+
+  for (const [className, noteType] of Object.entries(classMap)) {
+    if (!NOTE_TYPES.includes(noteType)) {
+      throw new Error(`Invalid note type "${noteType}" for class "${className}" (expected one of ${NOTE_TYPES.join(', ')})`);
+    }
+  }
+
+  return classMap;
+}
+
+function addCalloutRules(turndownService, options = {}) {
+  const classMap = buildNoteClassMap(options.noteClassMap);
+
+  // <div class="note|warning|alert"> → :::note info|warn|alert
+  turndownService.addRule('callout', {
+    filter: function (node) {
+      return (node.nodeName === 'DIV' || node.nodeName === 'ASIDE') && findNoteType(node, classMap) !== null;
+    },
+    replacement: function (content, node) {
+      const noteType = findNoteType(node, classMap);
+      const body = content.replace(/^\n+/, '').replace(/\n+$/, '');
+      return '\n\n:::note ' + noteType + '\n' + body + '\n:::\n\n';
+    }
+  });
+
+  // <details><summary> はQiitaでもそのまま折りたたみ表示できるため、中身だけMarkdownにする
+  turndownService.addRule('details', {
+    filter: 'details',
+    replacement: function (content, node) {
+      const summary = Array.from(node.childNodes).find(child => child.nodeName === 'SUMMARY');
+      const summaryText = summary ? escapeHtml(summary.textContent.replace(/\s+/g, ' ').trim()) : '';
+      const body = content.replace(/^\n+/, '').replace(/\n+$/, '');
+      const open = node.hasAttribute('open') ? ' open' : '';
+
+      // <summary> の後に空行を入れないとQiitaが中身をMarkdownとして解釈しない
+      return '\n\n<details' + open + '><summary>' + summaryText + '</summary>\n\n' + body + '\n\n</details>\n\n';
+    }
+  });
+
+  // <summary> は details ルールで出力するため、本文からは取り除く
+  turndownService.addRule('summary', {
+    filter: 'summary',
+    replacement: function () {
+      return '';
+    }
+  });
+}
+
+module.exports = { addCalloutRules, DEFAULT_NOTE_CLASS_MAP };
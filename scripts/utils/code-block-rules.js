@@ -0,0 +1,236 @@
+// コードブロック（<pre>）をQiitaのコードブロック記法に変換するturndownルール
+//
+// - 言語は class の language-xxx / lang-xxx / hljs xxx、data-lang / data-language 属性の順に探す
+// - 言語名はQiitaでハイライトされる名前に揃える（c++ → cpp、objective-c → objc など）
+// - ファイル名（data-filename 属性、<figure> の <figcaption>）があれば ```lang:filename にする
+// - ハイライト用の <span> や <br> を含む <pre> もコードのテキストだけを取り出す
+// - コード中の ``` より長いフェンスで囲み、diff の行頭の + / - や空行はそのまま残す
+
+// Qiitaでハイライトされる言語名への対応（小文字で比較する）
+const LANGUAGE_ALIASES = {
+  'c++': 'cpp',
+  'cxx': 'cpp',
+  'hpp': 'cpp',
+  'c#': 'csharp',
+  'cs': 'csharp',
+  'f#': 'fsharp',
+  'objective-c': 'objc',
+  'objectivec': 'objc',
+  'obj-c': 'objc',
+  'js': 'javascript',
+  'mjs': 'javascript',
+  'cjs': 'javascript',
+  'node': 'javascript',
+  'ts': 'typescript',
+  'py': 'python',
+  'python3': 'python',
+  'rb': 'ruby',
+  'rs': 'rust',
+  'golang': 'go',
+  'kt': 'kotlin',
+  'kts': 'kotlin',
+  'sh': 'bash',
+  'shell': 'bash',
+  'zsh': 'bash',
+  'shell-session': 'console',
+  'ps1': 'powershell',
+  'yml': 'yaml',
+  'md': 'markdown',
+  'htm': 'html',
+  'svg': 'xml',
+  'patch': 'diff',
+  'docker': 'dockerfile',
+  'tf': 'hcl',
+  'terraform': 'hcl',
+  'jsonc': 'json'
+};
+
+// ハイライトしない指定（ファイル名がある場合は text として出力する）
+const PLAIN_LANGUAGES = ['text', 'plaintext', 'plain', 'txt', 'none', 'nohighlight', 'no-highlight'];
+
+// class から言語名を取り出すパターン（c++ や objective-c のような記号を含む名前も取り出す）
+const CLASS_LANGUAGE_PATTERNS = [
+  /(?:^|\s)language-([^\s]+)/,
+  /(?:^|\s)lang-([^\s]+)/
+];
+
+// フェンス付きのコードブロック（1行目のフェンス・情報文字列と、同じフェンスで閉じるまで）
+const FENCED_CODE_PATTERN = /^(`{3,}|~{3,})([^\n]*)\n[\s\S]*?^\1[^\S\n]*$/gm;
+
+// Dockerfile や Makefile など、拡張子ではなくファイル名で言語が決まるもの
+const FILENAME_LANGUAGES = {
+  dockerfile: 'dockerfile',
+  makefile: 'makefile',
+  gemfile: 'ruby',
+  rakefile: 'ruby'
+};
+
+function getClassName(node) {
+  return node && typeof node.getAttribute === 'function' ? (node.getAttribute('class') || '') : '';
+}
+
+function getAttribute(node, name) {
+  return node && typeof node.getAttribute === 'function' ? (node.getAttribute(name) || '').trim() : '';
+}
+
+// highlight.js の "hljs javascript" 形式（hljs 以外の最初のクラスが言語）
+function getHljsLanguage(className) {
+  const classes = className.split(/\s+/).filter(Boolean);
+  if (!classes.includes('hljs')) {
+    return '';
+  }
+
+  return classes.find(name => name !== 'hljs' && !name.startsWith('hljs-') && !name.includes('-')) || '';
+}
+
+// <code> → <pre> → 外側の要素の順に、最初に見つかった言語の指定を使う
+function detectLanguage(nodes) {
+  for (const node of nodes.filter(Boolean)) {
+    const className = getClassName(node);
+
+    for (const pattern of CLASS_LANGUAGE_PATTERNS) {
+      const match = className.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    const language = getHljsLanguage(className) || getAttribute(node, 'data-lang') || getAttribute(node, 'data-language');
+    if (language) {
+      return language;
+    }
+  }
+
+  return '';
+}
+
+// 言語名をQiitaでハイライトされる名前にする（diff-javascript のような差分の指定は diff_javascript）
+function toQiitaLanguage(language) {
+  const name = String(language || '').trim().toLowerCase();
+
+  if (!name || PLAIN_LANGUAGES.includes(name)) {
+    return '';
+  }
+
+  const diffMatch = name.match(/^diff[-_](.+)$/);
+  if (diffMatch) {
+    const target = toQiitaLanguage(diffMatch[1]);
+    return target && target !== 'diff' ? `diff_${target}` : 'diff';
+  }
+
+  return LANGUAGE_ALIASES[name] || name;
+}
+
+// ファイル名から言語名を推測する（拡張子がない・分からない場合は空文字）
+function languageFromFilename(filename) {
+  const baseName = filename.split(/[\\/]/).pop().toLowerCase();
+  if (FILENAME_LANGUAGES[baseName]) {
+    return FILENAME_LANGUAGES[baseName];
+  }
+
+  const extension = baseName.includes('.') ? baseName.split('.').pop() : '';
+  return /^[a-z0-9+#-]+$/.test(extension) ? toQiitaLanguage(extension) : '';
+}
+
+// コードのテキストを取り出す（ハイライト用のタグは中身だけ使い、<br> は改行にする）
+function extractCode(node) {
+  return Array.from(node.childNodes).map(child => {
+    if (child.nodeType === 3) {
+      return child.nodeValue;
+    }
+    if (child.nodeName === 'BR') {
+      return '\n';
+    }
+    return child.nodeType === 1 ? extractCode(child) : '';
+  }).join('');
+}
+
+// コード中の最も長いバッククォートの連続より長いフェンス（最低3つ）
+function createFence(code) {
+  const longest = (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+// ```lang:filename の1行目（ファイル名だけの場合も言語を推測し、分からなければ text）
+function formatInfoString(language, filename) {
+  const name = filename.replace(/[\r\n`]/g, ' ').trim();
+  if (!name) {
+    return language;
+  }
+
+  return `${language || languageFromFilename(name) || 'text'}:${name}`;
+}
+
+function formatCodeBlock(pre, options = {}) {
+  const code = pre.firstElementChild && pre.firstElementChild.nodeName === 'CODE' && pre.children.length === 1
+    ? pre.firstElementChild
+    : null;
+  const container = options.container || pre.parentNode;
+  const language = toQiitaLanguage(detectLanguage([code, pre, container]));
+  const filename = options.filename ||
+    getAttribute(code, 'data-filename') || getAttribute(pre, 'data-filename') || getAttribute(container, 'data-filename');
+
+  // 末尾の改行は1つだけ取り除く（diff の空行などコード中の空白はそのまま残す）
+  const text = extractCode(code || pre).replace(/\r\n?/g, '\n').replace(/\n$/, '');
+  const fence = createFence(text);
+
+  return '\n\n' + fence + formatInfoString(language, filename) + '\n' + text + '\n' + fence + '\n\n';
+}
+
+// コードブロックの外側だけに transform を適用する（コードの空行や記号はそのまま残す）
+function outsideCodeBlocks(markdown, transform) {
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of markdown.matchAll(FENCED_CODE_PATTERN)) {
+    result += transform(markdown.slice(lastIndex, match.index)) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + transform(markdown.slice(lastIndex));
+}
+
+// コードブロックの情報文字列（```lang:filename の lang:filename）を書き換える
+// rewrite({ language, filename }) は新しい情報文字列を返す。前に置く行があれば { info, before } を返す
+function rewriteCodeBlockInfo(markdown, rewrite) {
+  return markdown.replace(FENCED_CODE_PATTERN, (block, fence, info) => {
+    const separator = info.indexOf(':');
+    const language = (separator === -1 ? info : info.slice(0, separator)).trim();
+    const filename = separator === -1 ? '' : info.slice(separator + 1).trim();
+    const rewritten = rewrite({ language, filename });
+    const { info: newInfo, before } = typeof rewritten === 'string' ? { info: rewritten } : rewritten;
+
+    return (before ? before + '\n\n' : '') + fence + newInfo + block.slice(fence.length + info.length);
+  });
+}
+
+function addCodeBlockRules(turndownService) {
+  // <pre>（<code> の有無を問わない）→ フェンス付きのコードブロック
+  turndownService.addRule('codeBlock', {
+    filter: 'pre',
+    replacement: function (content, node) {
+      return formatCodeBlock(node);
+    }
+  });
+
+  // <figure><pre>...</pre><figcaption>ファイル名</figcaption></figure> → ```lang:filename
+  turndownService.addRule('codeFigure', {
+    filter: function (node) {
+      return node.nodeName === 'FIGURE' && node.querySelectorAll('pre').length === 1 && !node.querySelector('img');
+    },
+    replacement: function (content, node) {
+      const figcaption = node.querySelector('figcaption');
+      const filename = figcaption ? figcaption.textContent.replace(/\s+/g, ' ').trim() : '';
+      return formatCodeBlock(node.querySelector('pre'), { container: node, filename });
+    }
+  });
+}
+
+module.exports = {
+  addCodeBlockRules,
+  outsideCodeBlocks,
+  rewriteCodeBlockInfo,
+  detectLanguage,
+  toQiitaLanguage,
+  createFence
+};
@@ -0,0 +1,100 @@
+const axios = require('axios');
+const { Publisher, convertQiitaMarkdown, toSimpleTagNames } = require('./publisher');
+const { rewriteCodeBlockInfo } = require('./code-block-rules');
+const RetryPolicy = require('./retry-policy');
+
+const DEFAULT_BASE_URL = 'https://dev.to/api';
+const DEVTO_MAX_TAGS = 4;
+const NOTE_LABELS = {
+  info: 'ℹ️',
+  warn: '⚠️',
+  alert: '❗'
+};
+
+function toBlockquote(text) {
+  return text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+}
+
+// dev.to の articles API への投稿（canonical_url に転載元のURLを設定する）
+class DevToPublisher extends Publisher {
+  constructor(options = {}) {
+    super('devto', 'dev.to');
+
+    if (!options.apiKey) {
+      throw new Error('DEVTO_API_KEY is required for the devto destination');
+    }
+
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL || DEFAULT_BASE_URL;
+    // axios と同じ request を持つHTTPクライアント（テストで差し替える）
+    this.http = options.http || axios;
+    // 429・5xx・通信エラー時のリトライ（記事の作成は 429 のときだけリトライする）
+    this.retryPolicy = new RetryPolicy({
+      name: 'dev.to',
+      maxRetries: options.maxRetries,
+      baseDelayMs: options.baseDelayMs,
+      maxDelayMs: options.maxDelayMs
+    });
+  }
+
+  render(payload, article) {
+    // ノートは引用、折りたたみ・埋め込みは dev.to の Liquid タグにする
+    // コードブロックのファイル名は dev.to で表示できないため、ブロックの前の行に出す
+    const body = rewriteCodeBlockInfo(convertQiitaMarkdown(payload.body, {
+      note: (type, content) => toBlockquote(`${NOTE_LABELS[type]} ${content}`),
+      details: (summary, content) => `{% details ${summary.replace(/\s+/g, ' ').trim()} %}\n${content}\n{% enddetails %}`,
+      codepen: url => `{% codepen ${url} %}`,
+      standaloneUrl: url => `{% embed ${url} %}`
+    }), ({ language, filename }) => ({
+      info: language.startsWith('diff_') ? 'diff' : language,
+      before: filename ? `\`${filename}\`` : null
+    }));
+
+    return {
+      title: payload.title,
+      body_markdown: body,
+      tags: toSimpleTagNames(payload.tags, DEVTO_MAX_TAGS),
+      published: !payload.private,
+      canonical_url: article.originalUrl || null
+    };
+  }
+
+  preview(rendered) {
+    return rendered.body_markdown;
+  }
+
+  async create(rendered) {
+    const response = await this.request('post', '/articles', { article: rendered });
+    return { id: response.data.id, url: response.data.url };
+  }
+
+  async update(articleId, rendered) {
+    const response = await this.request('put', `/articles/${articleId}`, { article: rendered });
+    return { id: response.data.id, url: response.data.url };
+  }
+
+  async unpublish(articleId) {
+    await this.request('put', `/articles/${articleId}`, { article: { published: false } });
+  }
+
+  // dev.to の API では記事を削除できないため、非公開にする
+  async remove(articleId) {
+    await this.unpublish(articleId);
+    return { removed: false };
+  }
+
+  async request(method, path, data) {
+    return this.retryPolicy.run(method, path, () => this.http.request({
+      method: method,
+      url: `${this.baseURL}${path}`,
+      data: data,
+      headers: {
+        'api-key': this.apiKey,
+        'Accept': 'application/vnd.forem.api-v1+json',
+        'Content-Type': 'application/json'
+      }
+    }));
+  }
+}
+
+module.exports = DevToPublisher;
@@ -0,0 +1,135 @@
+// microCMSのリッチエディタに貼られた埋め込みを、Qiitaで表示できる形式に変換するturndownルール
+//
+// - YouTube / X のポスト / リンクカード: URLだけの行（Qiitaが埋め込み・リンクカードとして表示する）
+// - CodePen: QiitaがサポートしているCodePenの埋め込みHTML
+// - 上記以外のiframe: 通常のリンク
+
+const YOUTUBE_EMBED_PATTERN = /^(?:https?:)?\/\/(?:www\.)?(?:youtube\.com|youtube-nocookie\.com)\/embed\/([\w-]+)/;
+const TWEET_URL_PATTERN = /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(\w+)\/status\/(\d+)/;
+const CODEPEN_EMBED_PATTERN = /^(?:https?:)?\/\/codepen\.io\/([\w-]+)\/(?:embed|pen)\/(?:preview\/)?([\w-]+)/;
+const LINK_CARD_CLASS_PATTERN = /(?:^|\s)(?:iframely-embed|link-?card|embed-card)(?:\s|$)/;
+// CodePenのユーザー名・ペンのID（埋め込みHTMLの属性にそのまま入れるため、これ以外の文字は受け付けない）
+const CODEPEN_NAME_PATTERN = /^[\w-]+$/;
+
+// 前後を空行で区切り、URLを単独の行として出力する
+function standaloneLine(text) {
+  return '\n\n' + text + '\n\n';
+}
+
+function hasClass(node, pattern) {
+  return typeof node.getAttribute === 'function' && pattern.test(node.getAttribute('class') || '');
+}
+
+function iframeSrc(node) {
+  return node.nodeName === 'IFRAME' ? (node.getAttribute('src') || '') : '';
+}
+
+// iframeのsrcのホスト名（URLとして解釈できない場合はsrcをそのまま使う）
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname || url;
+  } catch (error) {
+    return url;
+  }
+}
+
+function toCodePenEmbed(user, slug, height) {
+  return [
+    `<p class="codepen" data-height="${height}" data-default-tab="html,result" data-slug-hash="${slug}" data-user="${user}">`,
+    `<span>See the Pen <a href="https://codepen.io/${user}/pen/${slug}">${slug}</a> by ${user} (<a href="https://codepen.io/${user}">@${user}</a>) on <a href="https://codepen.io">CodePen</a>.</span>`,
+    '</p>',
+    '<script async src="https://cpwebassets.codepen.io/assets/embed/ei.js"></script>'
+  ].join('\n');
+}
+
+function addEmbedRules(turndownService) {
+  // 対応していないiframe → 通常のリンク（turndownは後から追加したルールを優先するため最初に登録する）
+  turndownService.addRule('iframeFallback', {
+    filter: 'iframe',
+    replacement: function (content, node) {
+      const src = iframeSrc(node);
+      if (!/^(?:https?:)?\/\//.test(src)) {
+        return '';
+      }
+
+      const url = src.startsWith('//') ? 'https:' + src : src;
+      const title = (node.getAttribute('title') || '').trim() || hostnameOf(url);
+      return standaloneLine(`[${title}](${url})`);
+    }
+  });
+
+  // YouTubeの埋め込みiframe → 動画URL
+  turndownService.addRule('youtubeEmbed', {
+    filter: function (node) {
+      return YOUTUBE_EMBED_PATTERN.test(iframeSrc(node));
+    },
+    replacement: function (content, node) {
+      const videoId = iframeSrc(node).match(YOUTUBE_EMBED_PATTERN)[1];
+      return standaloneLine(`https://www.youtube.com/watch?v=${videoId}`);
+    }
+  });
+
+  // Xのポスト（<blockquote class="twitter-tweet">）→ ポストのURL
+  turndownService.addRule('tweetEmbed', {
+    filter: function (node) {
+      return node.nodeName === 'BLOCKQUOTE' && hasClass(node, /(?:^|\s)twitter-tweet(?:\s|$)/);
+    },
+    replacement: function (content, node) {
+      // 埋め込みコードでは最後のリンクがポスト自体を指す
+      const links = Array.from(node.querySelectorAll('a'))
+        .map(link => (link.getAttribute('href') || '').match(TWEET_URL_PATTERN))
+        .filter(Boolean);
+
+      if (links.length === 0) {
+        return '\n\n' + content.trim().replace(/^/gm, '> ') + '\n\n';
+      }
+
+      const [, user, statusId] = links[links.length - 1];
+      return standaloneLine(`https://x.com/${user}/status/${statusId}`);
+    }
+  });
+
+  // CodePenのiframe・埋め込みコード → Qiitaで表示できるCodePenの埋め込みHTML
+  turndownService.addRule('codepenEmbed', {
+    filter: function (node) {
+      return CODEPEN_EMBED_PATTERN.test(iframeSrc(node)) ||
+        (node.nodeName === 'P' && hasClass(node, /(?:^|\s)codepen(?:\s|$)/) && node.getAttribute('data-slug-hash'));
+    },
+    replacement: function (content, node) {
+      let user;
+      let slug;
+
+      if (node.nodeName === 'IFRAME') {
+        [, user, slug] = iframeSrc(node).match(CODEPEN_EMBED_PATTERN);
+      } else {
+        user = node.getAttribute('data-user') || '';
+        slug = node.getAttribute('data-slug-hash');
+      }
+
+      // 属性を壊す文字（" など）を含む埋め込みコードは、埋め込みにせず中身の文章だけを残す
+      if (!CODEPEN_NAME_PATTERN.test(user) || !CODEPEN_NAME_PATTERN.test(slug)) {
+        return '\n\n' + content + '\n\n';
+      }
+
+      const height = parseInt(node.getAttribute('height') || node.getAttribute('data-height'), 10) || 300;
+      return '\n\n' + toCodePenEmbed(user, slug, height) + '\n\n';
+    }
+  });
+
+  // リンクカード（iframelyなど）→ URLだけの行（Qiitaのリンクカード）
+  turndownService.addRule('linkCardEmbed', {
+    filter: function (node) {
+      return hasClass(node, LINK_CARD_CLASS_PATTERN) &&
+        (node.nodeName === 'A' ? node.getAttribute('href') : node.querySelector('a[href]'));
+    },
+    replacement: function (content, node) {
+      const link = node.nodeName === 'A' ? node : node.querySelector('a[href]');
+      return standaloneLine(link.getAttribute('href'));
+    }
+  });
+
+  // 埋め込み用のスクリプト（widgets.js など）は本文に残さない
+  turndownService.remove('script');
+}
+
+module.exports = { addEmbedRules };
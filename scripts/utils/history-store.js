@@ -0,0 +1,221 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+
+// ロックを取得できるまで待つ時間の既定値
+const DEFAULT_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const LOCK_RETRY_INTERVAL_MS = 1000;
+// プロセスの生死を確認できない（別ホストの）ロックを古いとみなすまでの時間
+const STALE_LOCK_MS = 6 * 60 * 60 * 1000;
+const SQLITE_EXTENSIONS = ['.db', '.sqlite', '.sqlite3'];
+
+function emptyHistory() {
+  return {
+    lastSyncTime: null,
+    articles: {}
+  };
+}
+
+// 保存先のファイルと同じ場所にロックファイル（<保存先>.lock）を作り、同時実行を防ぐ
+class FileLock {
+  constructor(targetPath) {
+    this.lockPath = `${targetPath}.lock`;
+    this.held = false;
+    this.releaseOnExit = () => this.release();
+  }
+
+  async acquire(options = {}) {
+    const { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = options;
+    const deadline = Date.now() + timeoutMs;
+
+    while (!this.tryAcquire()) {
+      const owner = this.readOwner();
+
+      if (this.isStale(owner)) {
+        logger.warn(`⚠️  Removing stale lock ${this.lockPath} (pid ${owner?.pid} on ${owner?.host})`);
+        fs.rmSync(this.lockPath, { force: true });
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Another sync is running (lock ${this.lockPath} held by pid ${owner?.pid} on ${owner?.host} since ${owner?.acquiredAt})`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL_MS));
+    }
+
+    this.held = true;
+    // 異常終了時もロックを残さない
+    process.once('exit', this.releaseOnExit);
+  }
+
+  tryAcquire() {
+    try {
+      fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+      const fd = fs.openSync(this.lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  readOwner() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // 同じホストでプロセスが終了している、または長時間更新されていないロックは古いとみなす
+  isStale(owner) {
+    if (!owner) {
+      return false;
+    }
+
+    if (owner.host === os.hostname()) {
+      try {
+        process.kill(owner.pid, 0);
+        return false;
+      } catch (error) {
+        return error.code === 'ESRCH';
+      }
+    }
+
+    return Date.now() - new Date(owner.acquiredAt).getTime() > STALE_LOCK_MS;
+  }
+
+  release() {
+    if (!this.held) {
+      return;
+    }
+
+    this.held = false;
+    process.removeListener('exit', this.releaseOnExit);
+    fs.rmSync(this.lockPath, { force: true });
+  }
+}
+
+// JSONファイルに同期履歴を保存する（一時ファイルに書いてから置き換えるため、途中で落ちても壊れない）
+class JsonHistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lock = new FileLock(filePath);
+  }
+
+  describe() {
+    return this.filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return emptyHistory();
+    }
+
+    return { ...emptyHistory(), ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+  }
+
+  save(history) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(history, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+// SQLiteファイルに同期履歴を保存する（optionalDependencies の better-sqlite3 を使う）
+class SqliteHistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lock = new FileLock(filePath);
+    this.db = null;
+  }
+
+  describe() {
+    return `${this.filePath} (SQLite)`;
+  }
+
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      // 任意の依存のため、--omit=optional でインストールした場合やビルドに失敗した場合は入っていない
+      throw new Error(`SQLite history store requires the optional dependency better-sqlite3 (${error.code || error.message}), run "npm install better-sqlite3" and check its build output`);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+      CREATE TABLE IF NOT EXISTS articles (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    `);
+
+    return this.db;
+  }
+
+  load() {
+    const db = this.open();
+    const history = emptyHistory();
+
+    for (const { key, value } of db.prepare('SELECT key, value FROM meta').all()) {
+      history[key] = JSON.parse(value);
+    }
+    for (const { id, data } of db.prepare('SELECT id, data FROM articles').all()) {
+      history.articles[id] = JSON.parse(data);
+    }
+
+    return history;
+  }
+
+  // 1つのトランザクションで書き換えるため、途中で落ちても前回の状態が残る
+  save(history) {
+    const db = this.open();
+    const { articles, ...meta } = history;
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM meta').run();
+      db.prepare('DELETE FROM articles').run();
+
+      const insertMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+      Object.entries(meta).forEach(([key, value]) => insertMeta.run(key, JSON.stringify(value)));
+
+      const insertArticle = db.prepare('INSERT INTO articles (id, data) VALUES (?, ?)');
+      Object.entries(articles).forEach(([id, entry]) => insertArticle.run(id, JSON.stringify(entry)));
+    })();
+  }
+}
+
+// 保存先のパスから同期履歴のストアを選ぶ（.db / .sqlite / .sqlite3 はSQLite、それ以外はJSON）
+function createHistoryStore(filePath) {
+  if (SQLITE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    return new SqliteHistoryStore(filePath);
+  }
+
+  return new JsonHistoryStore(filePath);
+}
+
+module.exports = {
+  createHistoryStore,
+  JsonHistoryStore,
+  SqliteHistoryStore,
+  FileLock
+};
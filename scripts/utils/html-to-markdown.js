@@ -1,7 +1,35 @@
 const TurndownService = require('turndown');
+const ImageProcessor = require('./image-processor');
+const LinkRewriter = require('./link-rewriter');
+const { addEmbedRules } = require('./embed-rules');
+const { addCalloutRules } = require('./callout-rules');
+const { addTableRules } = require('./table-converter');
+const { addCodeBlockRules, outsideCodeBlocks } = require('./code-block-rules');
+const TemplateRenderer = require('./template-renderer');
+const TagNormalizer = require('./tag-normalizer');
+const { logger } = require('./logger');
+
+// 画像の Markdown（title 属性があれば "title" として残す）
+function formatImage(img, alt, src) {
+  const title = img.getAttribute('title');
+  const titlePart = title ? ' "' + title + '"' : '';
+  return '![' + alt + '](' + src + titlePart + ')';
+}
 
 class HtmlToMarkdownConverter {
-  constructor() {
+  constructor(options = {}) {
+    this.templateRenderer = new TemplateRenderer({ templateDir: options.templateDir });
+    this.tagNormalizer = new TagNormalizer({ dictionaryPath: options.tagDictionary });
+    this.imageProcessor = new ImageProcessor({
+      siteUrl: options.siteUrl,
+      ...options.image
+    });
+    this.linkRewriter = new LinkRewriter({
+      siteUrl: options.siteUrl,
+      articleRoutes: options.articleRoutes,
+      rewriteToQiita: options.rewriteInternalLinks
+    });
+
     this.turndownService = new TurndownService({
       headingStyle: 'atx',
       codeBlockStyle: 'fenced',
@@ -11,9 +39,15 @@ class HtmlToMarkdownConverter {
     });
 
     this.setupCustomRules();
+    addTableRules(this.turndownService);
+    addCodeBlockRules(this.turndownService);
+    addEmbedRules(this.turndownService);
+    addCalloutRules(this.turndownService, { noteClassMap: options.noteClassMap });
   }
 
   setupCustomRules() {
+    const imageProcessor = this.imageProcessor;
+
     // strongタグのカスタムルールを追加（スペース問題を根本解決）
     this.turndownService.addRule('strong', {
       filter: 'strong',
@@ -24,30 +58,35 @@ class HtmlToMarkdownConverter {
       }
     });
 
-    // カスタムルールを追加
-    this.turndownService.addRule('codeBlock', {
-      filter: function (node) {
-        return node.nodeName === 'PRE' && node.firstChild && node.firstChild.nodeName === 'CODE';
-      },
+    // 画像の alt 属性を適切に処理し、URLを正規化
+    this.turndownService.addRule('image', {
+      filter: 'img',
       replacement: function (content, node) {
-        const className = node.firstChild.className || '';
-        const language = className.match(/language-(\w+)/);
-        const lang = language ? language[1] : '';
+        const alt = node.getAttribute('alt') || '';
+        const src = imageProcessor.process(node.getAttribute('src') || '');
         
-        return '\n\n```' + lang + '\n' + node.firstChild.textContent + '\n```\n\n';
+        return src ? formatImage(node, alt, src) : '';
       }
     });
 
-    // 画像の alt 属性を適切に処理
-    this.turndownService.addRule('image', {
-      filter: 'img',
+    // <figure> は画像の下にキャプションを斜体の行として出力
+    this.turndownService.addRule('figure', {
+      filter: function (node) {
+        return node.nodeName === 'FIGURE' && node.querySelector('img');
+      },
       replacement: function (content, node) {
-        const alt = node.getAttribute('alt') || '';
-        const src = node.getAttribute('src') || '';
-        const title = node.getAttribute('title');
+        const img = node.querySelector('img');
+        const figcaption = node.querySelector('figcaption');
+        const caption = figcaption ? figcaption.textContent.replace(/\s+/g, ' ').trim() : '';
+        const src = imageProcessor.process(img.getAttribute('src') || '');
         
-        const titlePart = title ? ' "' + title + '"' : '';
-        return src ? '![' + alt + '](' + src + titlePart + ')' : '';
+        if (!src) {
+          return caption ? '\n\n*' + caption + '*\n\n' : '';
+        }
+        
+        const alt = img.getAttribute('alt') || caption;
+        const image = formatImage(img, alt, src);
+        return '\n\n' + image + (caption ? '\n*' + caption + '*' : '') + '\n\n';
       }
     });
 
@@ -60,51 +99,22 @@ class HtmlToMarkdownConverter {
           .replace(/\n+$/, '\n')
           .replace(/\n/gm, '\n    ');
         
-        const prefix = options.bulletListMarker + ' ';
-        return prefix + content + (node.nextSibling && !/\n$/.test(content) ? '\n' : '');
-      }
-    });
-
-    // テーブルの変換を適切に処理
-    this.turndownService.addRule('table', {
-      filter: 'table',
-      replacement: function (content, node) {
-        // テーブル全体を囲む改行を確保
-        return '\n\n' + content + '\n\n';
-      }
-    });
-
-    this.turndownService.addRule('tableRow', {
-      filter: 'tr',
-      replacement: function (content, node) {
-        const isHeaderRow = node.parentNode.nodeName === 'THEAD' || 
-                           (node.parentNode.nodeName === 'TBODY' && node.parentNode.previousElementSibling?.nodeName !== 'THEAD' && node === node.parentNode.firstElementChild);
-        
-        let row = '|' + content;
-        
-        // ヘッダー行の場合、区切り線を追加
-        if (isHeaderRow) {
-          const cellCount = node.children.length;
-          const separator = Array(cellCount).fill(' --- ').join(' |');
-          row += '\n|' + separator + ' |';
+        // 番号付きリストは start 属性から番号を数える
+        const parent = node.parentNode;
+        let prefix = options.bulletListMarker + ' ';
+        if (parent.nodeName === 'OL') {
+          const start = parseInt(parent.getAttribute('start'), 10);
+          const index = Array.prototype.indexOf.call(parent.children, node);
+          prefix = (Number.isInteger(start) ? start + index : index + 1) + '. ';
         }
-        
-        return row + '\n';
+        return prefix + content + (node.nextSibling && !/\n$/.test(content) ? '\n' : '');
       }
     });
+  }
 
-    this.turndownService.addRule('tableCell', {
-      filter: ['th', 'td'],
-      replacement: function (content, node) {
-        // セル内容をクリーンアップ（改行やパイプ文字をエスケープ）
-        const cleanContent = content
-          .replace(/\n/g, ' ')           // 改行をスペースに変換
-          .replace(/\|/g, '\\|')         // パイプ文字をエスケープ
-          .trim();
-        
-        return ' ' + cleanContent + ' |';
-      }
-    });
+  // 画像キャッシュが有効な場合、変換前に本文中の画像をダウンロードしておく
+  async prepareImages(html) {
+    await this.imageProcessor.prepare(html);
   }
 
   convert(html, options = {}) {
@@ -112,15 +122,27 @@ class HtmlToMarkdownConverter {
       return '';
     }
 
+    return this.convertParts([{ type: 'html', content: html }], options);
+  }
+
+  // 本文のパーツ（{ type: 'html' | 'markdown', content }）をつなげてMarkdownにする
+  // markdown のパーツはturndownを通さずそのまま使う
+  convertParts(parts = [], options = {}) {
+    if (parts.length === 0) {
+      return '';
+    }
+
     try {
-      let markdown = this.turndownService.turndown(html);
-      
-      // 太字の前後のスペース問題を修正
-      markdown = this.fixBoldSpacing(markdown);
+      let markdown = parts
+        .map(part => (part.type === 'markdown'
+          ? part.content.replace(/\r\n/g, '\n').trim()
+          // 太字の前後のスペース問題を修正
+          : outsideCodeBlocks(this.turndownService.turndown(part.content), text => this.fixBoldSpacing(text))))
+        .filter(Boolean)
+        .join('\n\n');
       
       // 余分な改行を整理
-      markdown = markdown
-        .replace(/\n{3,}/g, '\n\n')  // 3個以上の連続改行を2個に
+      markdown = outsideCodeBlocks(markdown, text => text.replace(/\n{3,}/g, '\n\n')) // 3個以上の連続改行を2個に
         .replace(/^\n+/, '')        // 先頭の改行を削除
         .replace(/\n+$/, '');       // 末尾の改行を削除
 
@@ -132,18 +154,34 @@ class HtmlToMarkdownConverter {
         }
       }
 
-      // 記事の最後にXとブログサイトの紹介文を追加
-      const footerSection = this.generateFooter();
-      markdown = markdown + '\n\n' + footerSection;
+      // 相対リンクを絶対URLに、同期済みの記事へのリンクをQiitaの記事のURLにする
+      // （テンプレートの転載元の案内は元記事を指すため、ヘッダー・フッターを付ける前に行う）
+      markdown = this.linkRewriter.rewrite(markdown, { baseUrl: options.originalUrl, articleId: options.articleId });
 
+      // テンプレートからヘッダー（転載元の案内など）とフッターを追加
+      const templateContext = this.buildTemplateContext(options);
+      const header = this.templateRenderer.render('header', templateContext);
+      const footer = this.templateRenderer.render('footer', templateContext);
+      
+      markdown = [header, markdown, footer].filter(Boolean).join('\n\n');
 
       return markdown;
     } catch (error) {
-      console.error('HTML to Markdown conversion failed:', error);
-      return html; // 変換に失敗した場合は元のHTMLを返す
+      logger.error(`HTML to Markdown conversion failed: ${error.message}`, { detail: error.stack });
+      return parts.map(part => part.content).join('\n\n'); // 変換に失敗した場合は元の本文を返す
     }
   }
 
+  // 同期済みの記事のQiitaのURL（同期履歴のキー → URL）を設定する
+  setLinkTargets(targets) {
+    this.linkRewriter.setTargets(targets);
+  }
+
+  // 本文に残っている、まだQiitaのURLにできない記事へのリンク（同期履歴のキーの配列）
+  findArticleLinks(markdown, articleId) {
+    return this.linkRewriter.findArticleLinks(markdown, articleId);
+  }
+
   // 太字の前後のスペース問題を修正
   fixBoldSpacing(markdown) {
     // TurndownServiceのカスタムstrongルールで既に修正されているか確認
@@ -158,75 +196,59 @@ class HtmlToMarkdownConverter {
     return markdown.replace(/\*\*\s+([^*]+?)\s+\*\*/g, '**$1**');
   }
 
-  // フッター部分を生成（Xとブログサイトの紹介）
-  generateFooter() {
-    return `---
-
-## 🌟 お知らせ
-
-この記事が役に立ったら、ぜひフォローやいいねをお願いします！
-
-**🐦 X**: [@nabe_AI_dev](https://x.com/nabe_AI_dev)
-AI開発の最新情報や技術Tips、開発の進捗などを定期的にツイートしています。
+  // テンプレートのプレースホルダーに渡す値を組み立てる
+  buildTemplateContext(options = {}) {
+    const article = options.article || {};
+    const categories = [].concat(options.category ?? article.category ?? []);
+    
+    return {
+      id: article.id,
+      title: options.originalTitle || article.title,
+      originalTitle: options.originalTitle || article.title,
+      originalUrl: options.originalUrl,
+      excerpt: options.excerpt ?? article.excerpt,
+      publishedAt: article.publishedAt,
+      publishedDate: this.formatDate(article.publishedAt),
+      updatedAt: article.updatedAt,
+      category: categories,
+      tags: options.tagNames ?? article.tags,
+      // microCMSの独自フィールドは {{fields.xxx}} で参照できる
+      fields: article,
+      // カテゴリ別テンプレートの検索に使うキー（ID・名前のどちらでも指定できる）
+      categoryKeys: this.getCategoryKeys(categories)
+    };
+  }
 
-**📝 ブログ**: [AI Developer Blog](https://ai-developer-blog.vercel.app/)
-AIツール開発に関する詳細な記事や実装事例を公開中です。`;
+  // カテゴリの参照フィールドからID・名前を取り出す（テンプレートやタグ辞書のカテゴリ指定に使う）
+  getCategoryKeys(categories) {
+    return [].concat(categories || [])
+      .filter(Boolean)
+      .flatMap(category => (typeof category === 'string' ? [category] : [category.id, category.name, category.title]))
+      .filter(Boolean);
   }
 
-  // Qiitaのタグ制限に合わせてタグを整理
-  processTags(categories = [], tags = '', maxTags = 5) {
-    const allTags = [];
-    
-    console.log('🏷️  Processing tags:');
-    console.log('- Raw categories:', categories);
-    console.log('- Raw tags:', tags);
-    
-    // カテゴリをタグに追加（relation形式の場合）
-    if (Array.isArray(categories)) {
-      categories.forEach(category => {
-        if (category && typeof category === 'string') {
-          allTags.push(category);
-        } else if (category && category.name) {
-          allTags.push(category.name);
-        } else if (category && category.title) {
-          allTags.push(category.title);
-        }
-      });
-    } else if (categories && typeof categories === 'string') {
-      allTags.push(categories);
-    } else if (categories && categories.name) {
-      allTags.push(categories.name);
-    } else if (categories && categories.title) {
-      allTags.push(categories.title);
+  formatDate(value) {
+    if (!value) {
+      return '';
     }
     
-    // タグを追加（カンマ区切りのテキストフィールド）
-    if (tags && typeof tags === 'string') {
-      const tagArray = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-      allTags.push(...tagArray);
-    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString('ja-JP', { timeZone: 'Asia/Tokyo' });
+  }
 
-    // 重複を除去し、最大数に制限
-    const uniqueTags = [...new Set(allTags)]
-      .filter(tag => {
-        if (!tag || typeof tag !== 'string') return false;
-        const trimmed = tag.trim();
-        return trimmed.length > 0 && trimmed.length <= 20; // Qiitaのタグ長制限
-      })
-      .slice(0, maxTags);
+  // タグ辞書に従ってタグを正規化し、Qiitaのタグ制限に合わせて整理
+  // tagNames は同期設定の tags に指定したフィールドから取り出したタグ名の配列
+  // categories はカテゴリ別の必須タグの判定に使う（参照フィールドのID・名前のどちらでも指定できる）
+  processTags(tagNames = [], options = {}) {
+    const categoryKeys = this.getCategoryKeys(options.categories);
 
-    console.log('- Processed tags:', uniqueTags);
+    const { tags, warnings } = this.tagNormalizer.normalize(tagNames, { categoryKeys });
 
-    // デフォルトタグを追加（タグが空の場合）
-    if (uniqueTags.length === 0) {
-      uniqueTags.push('AI');
-    }
+    // 辞書に合わないタグは黙って捨てず、警告として残す
+    warnings.forEach(warning => logger.warn(`⚠️  ${warning}`));
+    logger.debug(`🏷️  Tags: ${JSON.stringify(tagNames)} → ${JSON.stringify(tags)}`, { rawTags: tagNames, tags });
 
-    // Qiita API形式に変換
-    const qiitaTags = uniqueTags.map(tag => ({ name: tag.trim() }));
-    console.log('- Final Qiita tags:', qiitaTags);
-    
-    return qiitaTags;
+    return tags;
   }
 }
 
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// microCMSの画像API（imgix互換）のホスト
+const MICROCMS_IMAGE_HOST = 'images.microcms-assets.io';
+// 設定したサイズ・形式で置き換えるため、元のURLから取り除く画像APIのパラメータ
+const MICROCMS_IMAGE_PARAMS = ['w', 'h', 'fit', 'fm', 'q', 'auto', 'dpr', 'crop'];
+// ダウンロードしたURLとキャッシュファイルの対応表
+const CACHE_INDEX_FILE = 'index.json';
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg'
+};
+
+class ImageProcessor {
+  constructor(options = {}) {
+    this.siteUrl = options.siteUrl || null;
+    this.width = options.width ? parseInt(options.width, 10) : null;
+    this.format = options.format || null;
+    // 指定した場合のみ画像をダウンロードし、内容のハッシュをファイル名にして保存する
+    this.cacheDir = options.cacheDir || null;
+    this.assetBaseUrl = options.assetBaseUrl || null;
+    // キャッシュした画像の公開URLを決める関数（asset => url、null を返すと元のURLのまま）
+    this.mapUrl = options.mapUrl || (asset => this.defaultMapUrl(asset));
+    this.http = options.http || axios;
+
+    // 正規化済みURL → 差し替え後のURL
+    this.urlMap = new Map();
+  }
+
+  // 相対URLを元サイトのURLで絶対URLにし、microCMSの画像APIのパラメータを揃える
+  normalizeUrl(src) {
+    if (!src) {
+      return '';
+    }
+
+    let url;
+    try {
+      url = this.siteUrl ? new URL(src, this.siteUrl) : new URL(src);
+    } catch (error) {
+      // 元サイトのURLが未設定の相対URLなどはそのまま返す
+      return src;
+    }
+
+    if (url.hostname === MICROCMS_IMAGE_HOST) {
+      MICROCMS_IMAGE_PARAMS.forEach(param => url.searchParams.delete(param));
+      if (this.width) {
+        url.searchParams.set('w', String(this.width));
+      }
+      if (this.format) {
+        url.searchParams.set('fm', this.format);
+      }
+      url.searchParams.sort();
+    }
+
+    return url.toString();
+  }
+
+  // Markdownに出力する画像URLを返す（prepare で差し替え先が決まっていればそちらを使う）
+  process(src) {
+    const normalized = this.normalizeUrl(src);
+    return this.urlMap.get(normalized) || normalized;
+  }
+
+  // 変換前に本文中の画像をダウンロードしてキャッシュし、差し替え先のURLを決めておく
+  async prepare(html) {
+    if (!this.cacheDir || !html) {
+      return;
+    }
+
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    const index = this.loadCacheIndex();
+    const sources = [...html.matchAll(/<img\b[^>]*?\bsrc=["']([^"']+)["']/gi)]
+      .map(match => match[1].replace(/&amp;/g, '&'));
+
+    for (const src of new Set(sources)) {
+      const url = this.normalizeUrl(src);
+      if (this.urlMap.has(url) || !/^https?:/.test(url)) {
+        continue;
+      }
+
+      try {
+        const asset = index[url] && fs.existsSync(path.join(this.cacheDir, index[url].fileName))
+          ? { ...index[url], filePath: path.join(this.cacheDir, index[url].fileName) }
+          : await this.downloadAsset(url);
+
+        index[url] = { hash: asset.hash, fileName: asset.fileName, contentType: asset.contentType };
+
+        const mappedUrl = this.mapUrl({ ...asset, originalUrl: url });
+        if (mappedUrl) {
+          this.urlMap.set(url, mappedUrl);
+        }
+      } catch (error) {
+        logger.warn(`⚠️  Failed to cache image ${url}: ${error.message}`);
+      }
+    }
+
+    this.saveCacheIndex(index);
+  }
+
+  async downloadAsset(url) {
+    const response = await this.http.get(url, { responseType: 'arraybuffer' });
+    const data = Buffer.from(response.data);
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const extension = EXTENSIONS[contentType] || path.extname(new URL(url).pathname).slice(1) || 'bin';
+    const fileName = `${hash}.${extension}`;
+    const filePath = path.join(this.cacheDir, fileName);
+
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, data);
+    }
+
+    return { hash, fileName, filePath, contentType };
+  }
+
+  defaultMapUrl(asset) {
+    return this.assetBaseUrl ? `${this.assetBaseUrl.replace(/\/$/, '')}/${asset.fileName}` : null;
+  }
+
+  loadCacheIndex() {
+    const indexPath = path.join(this.cacheDir, CACHE_INDEX_FILE);
+
+    try {
+      if (fs.existsSync(indexPath)) {
+        return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      }
+    } catch (error) {
+      logger.warn(`Failed to load image cache index, starting fresh: ${error.message}`);
+    }
+
+    return {};
+  }
+
+  saveCacheIndex(index) {
+    fs.writeFileSync(path.join(this.cacheDir, CACHE_INDEX_FILE), JSON.stringify(index, null, 2));
+  }
+}
+
+module.exports = ImageProcessor;
@@ -0,0 +1,165 @@
+const fs = require('fs');
+
+// タイトルだけで一致とみなす場合の信頼度の上限（転載元URLがない記事は手作業の投稿の可能性がある）
+const TITLE_ONLY_WEIGHT = 0.85;
+// 転載元URLが本文にある場合の信頼度（タイトルの類似度に応じて最大 1 まで加算する）
+const URL_BASE_CONFIDENCE = 0.9;
+// これより類似度の低いタイトルは候補にしない
+const MIN_TITLE_SIMILARITY = 0.5;
+
+// Qiitaの既存の記事をmicroCMSの記事に対応付ける
+//
+// 次の順に候補を探し、信頼度（0〜1）の高い組み合わせから1対1で割り当てる
+// - 対応表ファイル（{ "記事ID": "QiitaのID" }）に書かれた組み合わせ: 1
+// - 本文に転載元URLを含む記事: 0.9〜1（タイトルが似ているほど高い）
+// - タイトルが似ている記事: 類似度 × 0.85
+class ItemMatcher {
+  constructor(options = {}) {
+    this.mappingPath = options.mappingPath || null;
+    this.mapping = this.loadMapping();
+  }
+
+  loadMapping() {
+    if (!this.mappingPath) {
+      return {};
+    }
+
+    const mapping = JSON.parse(fs.readFileSync(this.mappingPath, 'utf8'));
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error(`${this.mappingPath}: must be an object of { "article ID": "Qiita item ID" }`);
+    }
+
+    Object.entries(mapping).forEach(([articleId, qiitaId]) => {
+      if (typeof qiitaId !== 'string' || !qiitaId) {
+        throw new Error(`${this.mappingPath}: "${articleId}" must be a Qiita item ID string`);
+      }
+    });
+
+    const duplicated = Object.values(mapping).find((qiitaId, index, ids) => ids.indexOf(qiitaId) !== index);
+    if (duplicated) {
+      throw new Error(`${this.mappingPath}: Qiita item ${duplicated} is mapped to more than one article`);
+    }
+
+    return mapping;
+  }
+
+  // 表記の揺れ（全角・半角、大文字・小文字、空白・記号）を除いたタイトル
+  normalizeTitle(title) {
+    return String(title || '').normalize('NFKC').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+  }
+
+  // 2文字ずつの組（bigram）の一致度（Dice係数）。日本語のタイトルも単語に分けずに比較できる
+  titleSimilarity(a, b) {
+    const left = this.normalizeTitle(a);
+    const right = this.normalizeTitle(b);
+
+    if (!left || !right) {
+      return 0;
+    }
+    if (left === right) {
+      return 1;
+    }
+
+    const bigrams = text => {
+      const chars = Array.from(text);
+      return chars.length < 2 ? [text] : chars.slice(1).map((char, index) => chars[index] + char);
+    };
+    const counts = new Map();
+    bigrams(left).forEach(bigram => counts.set(bigram, (counts.get(bigram) || 0) + 1));
+
+    const rightBigrams = bigrams(right);
+    let overlap = 0;
+    rightBigrams.forEach(bigram => {
+      if (counts.get(bigram) > 0) {
+        counts.set(bigram, counts.get(bigram) - 1);
+        overlap++;
+      }
+    });
+
+    return (2 * overlap) / (bigrams(left).length + rightBigrams.length);
+  }
+
+  // 本文に転載元URLがあるか（/articles/abc が /articles/abc-def に一致しないよう、続く文字も確認する）
+  containsUrl(body, url) {
+    if (!url || !body) {
+      return false;
+    }
+
+    const escaped = url.replace(/\/+$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`${escaped}(?![\\w-])`).test(body);
+  }
+
+  // 記事とQiitaの記事の組み合わせの信頼度と根拠（候補にならない場合は null）
+  score(article, item) {
+    const titles = [article.titleOverride, article.title].filter(Boolean);
+    const similarity = Math.max(0, ...titles.map(title => this.titleSimilarity(title, item.title)));
+    const titleReason = `title ${Math.round(similarity * 100)}%`;
+
+    if (this.containsUrl(item.body, article.originalUrl)) {
+      return {
+        confidence: URL_BASE_CONFIDENCE + (1 - URL_BASE_CONFIDENCE) * similarity,
+        reasons: ['url', titleReason]
+      };
+    }
+
+    if (similarity >= MIN_TITLE_SIMILARITY) {
+      return { confidence: similarity * TITLE_ONLY_WEIGHT, reasons: [titleReason] };
+    }
+
+    return null;
+  }
+
+  // articles と items を1対1で対応付ける
+  // proposals: [{ article, item, confidence, reasons }]（信頼度の高い順）
+  // problems: 対応表に書かれているが見つからない記事・Qiitaの記事
+  match(articles, items) {
+    const articlesById = new Map(articles.map(article => [article.id, article]));
+    const itemsById = new Map(items.map(item => [item.id, item]));
+    const candidates = [];
+    const problems = [];
+
+    Object.entries(this.mapping).forEach(([articleId, qiitaId]) => {
+      if (!articlesById.has(articleId)) {
+        problems.push(`${articleId}: not a published article without a Qiita item`);
+      } else if (!itemsById.has(qiitaId)) {
+        problems.push(`${articleId}: Qiita item ${qiitaId} is not one of your unlinked items`);
+      } else {
+        candidates.push({ article: articlesById.get(articleId), item: itemsById.get(qiitaId), confidence: 1, reasons: ['mapping'] });
+      }
+    });
+
+    articles
+      .filter(article => !this.mapping[article.id])
+      .forEach(article => items.forEach(item => {
+        const scored = this.score(article, item);
+        if (scored) {
+          candidates.push({ article, item, ...scored });
+        }
+      }));
+
+    // 対応表の組み合わせを最優先にし、残りは信頼度の高い順に早い者勝ちで割り当てる
+    const usedArticles = new Set();
+    const usedItems = new Set();
+    const proposals = [];
+
+    candidates
+      .sort((a, b) => b.confidence - a.confidence)
+      .forEach(candidate => {
+        if (usedArticles.has(candidate.article.id) || usedItems.has(candidate.item.id)) {
+          return;
+        }
+        usedArticles.add(candidate.article.id);
+        usedItems.add(candidate.item.id);
+        proposals.push({ ...candidate, confidence: Math.round(candidate.confidence * 100) / 100 });
+      });
+
+    return {
+      proposals,
+      unmatchedArticles: articles.filter(article => !usedArticles.has(article.id)),
+      unmatchedItems: items.filter(item => !usedItems.has(item.id)),
+      problems
+    };
+  }
+}
+
+module.exports = ItemMatcher;
@@ -0,0 +1,137 @@
+const { outsideCodeBlocks } = require('./code-block-rules');
+
+// 本文中のリンク（インラインコードは書き換えない）
+// 1: インラインコード、2〜5: [テキスト](URL "タイトル")（2 が ! なら画像）、6: <URL>、7: URLだけの行（リンクカード）、8〜10: <a href="URL">
+const LINK_PATTERN = new RegExp([
+  '(`+)[^\\n]*?\\1',
+  '(!?)\\[((?:\\\\.|[^\\[\\]\\\\]|\\[(?:\\\\.|[^\\[\\]\\\\])*\\])*)\\]\\((<[^>\\n]*>|[^\\s()]*(?:\\([^\\s()]*\\)[^\\s()]*)*)((?:\\s+(?:"[^"\\n]*"|\'[^\'\\n]*\'))?)\\s*\\)',
+  '<(https?:\\/\\/[^\\s>]+)>',
+  '^(https?:\\/\\/\\S+)$',
+  '(<a\\s[^>]*?href=")([^"]*)(")'
+].join('|'), 'gm');
+
+// 本文中のリンクを書き換える
+// - 相対リンク（/articles/abc、../images/a.png など）は元記事のURLを基準に絶対URLにする
+// - 同期済みの記事へのリンク（ORIGINAL_SITE_URL + 同期設定の urlPath）はQiitaの記事のURLにする
+// - 外部サイトへのリンク・ページ内リンク（#見出し）・mailto: などはそのまま残す
+//
+// options
+// - siteUrl: 元サイトのURL（ORIGINAL_SITE_URL）
+// - articleRoutes: 記事のURLと同期履歴のキーの対応（[{ urlPath: '/articles/{id}', historyKeyPrefix: '' }]）
+// - rewriteToQiita: false の場合は同期済みの記事へのリンクも元サイトのURLのまま残す
+class LinkRewriter {
+  constructor(options = {}) {
+    this.siteUrl = options.siteUrl || null;
+    this.rewriteToQiita = options.rewriteToQiita !== false;
+    this.articlePatterns = this.siteUrl ? (options.articleRoutes || []).map(route => this.toArticlePattern(route)) : [];
+    // 同期履歴のキー → Qiitaの記事のURL
+    this.targets = new Map();
+  }
+
+  // "https://example.com" + "/articles/{id}" → /^https:\/\/example\.com\/articles\/([^/?#]+)\/?$/
+  toArticlePattern(route) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const [prefix, suffix] = (this.siteUrl.replace(/\/+$/, '') + route.urlPath).split('{id}');
+
+    return {
+      pattern: new RegExp(`^${escape(prefix)}([^/?#]+)${escape(suffix).replace(/\/$/, '')}/?$`),
+      historyKeyPrefix: route.historyKeyPrefix || ''
+    };
+  }
+
+  setTargets(targets) {
+    this.targets = new Map(Object.entries(targets));
+  }
+
+  // 記事のURLであれば同期履歴のキーを返す（記事のURLでなければ null）
+  findArticleId(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const address = parsed.origin + parsed.pathname;
+    for (const { pattern, historyKeyPrefix } of this.articlePatterns) {
+      const match = address.match(pattern);
+      if (match) {
+        return historyKeyPrefix + decodeURIComponent(match[1]);
+      }
+    }
+
+    return null;
+  }
+
+  // リンク先を書き換える（書き換えない場合は href をそのまま返す）
+  // articleId: 書き換え中の記事（自分自身へのリンクはQiitaのURLにしない）
+  resolve(href, context = {}) {
+    const { baseUrl = null, articleId = null } = context;
+    const trimmed = href.trim();
+
+    // ページ内リンク・空のリンク・http(s) 以外のスキーム（mailto: など）
+    if (!trimmed || trimmed.startsWith('#') || /^(?!https?:)[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+      return href;
+    }
+
+    let url;
+    try {
+      url = new URL(trimmed, baseUrl || this.siteUrl || undefined).href;
+    } catch (error) {
+      return href;
+    }
+
+    const linkedId = this.findArticleId(url);
+    if (this.rewriteToQiita && linkedId && linkedId !== articleId && this.targets.get(linkedId)) {
+      return this.targets.get(linkedId);
+    }
+
+    // 絶対URLのリンクは書かれたまま残す（URL の正規化で末尾に / が付くなどしないように）
+    return /^https?:\/\//i.test(trimmed) ? href : url;
+  }
+
+  rewrite(markdown, context = {}) {
+    const resolve = href => this.resolve(href, context);
+
+    return outsideCodeBlocks(markdown, text => text.replace(LINK_PATTERN, (
+      match, code, bang, label, href, title, autolink, standalone, anchorStart, anchorHref, anchorEnd
+    ) => {
+      if (code || bang) {
+        // インラインコードと画像（画像は ImageProcessor が処理する）
+        return match;
+      }
+      if (href !== undefined) {
+        const bracketed = href.startsWith('<') && href.endsWith('>');
+        const resolved = resolve(bracketed ? href.slice(1, -1) : href);
+        return `[${label}](${bracketed ? `<${resolved}>` : resolved}${title})`;
+      }
+      if (autolink) {
+        return `<${resolve(autolink)}>`;
+      }
+      if (standalone) {
+        return resolve(standalone);
+      }
+      return anchorStart + resolve(anchorHref) + anchorEnd;
+    }));
+  }
+
+  // 本文に残っている記事へのリンク（Qiitaの記事のURLにできなかったもの）の同期履歴のキー
+  findArticleLinks(markdown, articleId = null) {
+    const ids = new Set();
+
+    outsideCodeBlocks(markdown, text => {
+      for (const match of text.matchAll(/https?:\/\/[^\s<>()"'`\]]+/g)) {
+        // 文末の句読点はURLに含めない
+        const linkedId = this.findArticleId(match[0].replace(/[.,;:!?]+$/, ''));
+        if (linkedId && linkedId !== articleId) {
+          ids.add(linkedId);
+        }
+      }
+      return text;
+    });
+
+    return [...ids];
+  }
+}
+
+module.exports = LinkRewriter;
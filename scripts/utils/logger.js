@@ -0,0 +1,122 @@
+const { Console } = require('console');
+
+// quiet: 警告とエラーのみ / info: 通常の進捗 / debug: ペイロードやタグ変換の詳細も出力
+const LOG_LEVELS = ['quiet', 'info', 'debug'];
+// text: 人が読む形式 / json: 1行に1つのJSON（ログ収集やCIでの解析用）
+const LOG_FORMATS = ['text', 'json'];
+// 各ログレベルで出力する最も詳細なメッセージの重要度
+const LEVEL_THRESHOLDS = { quiet: 1, info: 2, debug: 3 };
+const SEVERITIES = { error: 0, warn: 1, info: 2, debug: 3 };
+// JSON形式ではメッセージ先頭の絵文字を除く
+const LEADING_EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\uFE0F|\u200D)+\s*/u;
+
+// 同期スクリプト全体で使うロガー
+//
+// logger.info(message, fields) の fields は JSON形式でのみ出力する（articleId, qiitaId など）
+// fields.detail（差分や複数行の情報）は text形式ではメッセージの次の行に出力する
+class Logger {
+  constructor(options = {}) {
+    this.level = 'info';
+    this.format = 'text';
+    this.stdout = process.stdout;
+    this.stderr = process.stderr;
+    this.configure(options);
+  }
+
+  // 未指定（undefined / 空文字）の項目は現在の設定のまま
+  configure(options = {}) {
+    const { level, format, stdout, stderr } = options;
+
+    if (level) {
+      if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level: ${level} (expected one of ${LOG_LEVELS.join(', ')})`);
+      }
+      this.level = level;
+    }
+
+    if (format) {
+      if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format: ${format} (expected one of ${LOG_FORMATS.join(', ')})`);
+      }
+      this.format = format;
+    }
+
+    this.stdout = stdout || this.stdout;
+    this.stderr = stderr || this.stderr;
+    this.console = new Console({ stdout: this.stdout, stderr: this.stderr });
+
+    return this;
+  }
+
+  isEnabled(severity) {
+    return SEVERITIES[severity] <= LEVEL_THRESHOLDS[this.level];
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  // 一覧表（text形式では console.table、JSON形式では rows をそのまま出力）
+  table(message, rows, fields = {}) {
+    if (!this.isEnabled('info')) {
+      return;
+    }
+
+    if (this.format === 'json') {
+      this.write('info', message, { ...fields, rows });
+      return;
+    }
+
+    this.console.log(message);
+    this.console.table(rows);
+  }
+
+  write(severity, message, fields = {}) {
+    if (!this.isEnabled(severity)) {
+      return;
+    }
+
+    if (this.format === 'json') {
+      const entry = {
+        time: new Date().toISOString(),
+        level: severity,
+        message: String(message).trim().replace(LEADING_EMOJI_PATTERN, ''),
+        ...fields
+      };
+      this.stdout.write(JSON.stringify(entry) + '\n');
+      return;
+    }
+
+    const method = severity === 'error' || severity === 'warn' ? 'error' : 'log';
+    this.console[method](message);
+    if (fields.detail) {
+      this.console[method](fields.detail);
+    }
+  }
+}
+
+// 環境変数 LOG_LEVEL / LOG_FORMAT の値で初期化する（CLIの引数で上書きする場合は configure を使う）
+// 不正な値は読み込み時には無視し、configure で改めて設定したときにエラーにする
+const logger = new Logger({
+  level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : undefined,
+  format: LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : undefined
+});
+
+module.exports = {
+  logger,
+  Logger,
+  LOG_LEVELS,
+  LOG_FORMATS
+};
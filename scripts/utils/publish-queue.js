@@ -0,0 +1,367 @@
+const fs = require('fs');
+const path = require('path');
+
+// 投稿時間帯・1日の上限を数える基準のタイムゾーン（GitHub Actions の定期実行と同じ日本時間）
+const DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+// 1日あたりの投稿数の記録を残す日数
+const PUBLISHED_LOG_DAYS = 7;
+// 投稿予定日を見積もる最大日数
+const MAX_SCHEDULE_DAYS = 366;
+// 投稿に失敗した記事を再び投稿するまでの時間（失敗するたびに倍にし、上限で止める）
+const RETRY_BASE_HOURS = 6;
+const RETRY_MAX_HOURS = 7 * 24;
+// 定期実行の時刻（schedule の cron）を読む同期のワークフロー
+const SYNC_WORKFLOW_PATH = path.join('.github', 'workflows', 'sync-to-qiita.yml');
+// cron の5つのフィールドが取れる値の範囲（分・時・日・月・曜日）
+const CRON_FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+// 新規投稿の予約キュー（既存の記事の更新はキューを通さない）
+//
+// 同期履歴の publishQueue に次の形で保存する
+// {
+//   "entries": [{ "articleId": "記事ID", "title": "...", "priority": 0, "enqueuedAt": "...", "notBefore": null, "failures": 0 }],
+//   "published": { "2024-01-31": ["記事ID"] }
+// }
+// - entries の並び順が投稿順（追加時は priority の高い記事ほど前に入る）
+// - notBefore: この日時まで投稿しない（postpone、投稿に失敗した記事の再試行の待ち時間）
+// - failures: 続けて投稿に失敗した回数（失敗した記事はキューの最後に回し、後ろの記事の投稿を止めない）
+// - published: 日ごとに新規投稿した記事（1日の上限の計算に使う）
+//
+// options（環境変数の文字列をそのまま渡せる）
+// - dailyLimit: 1日に新規投稿する最大数（未指定の場合はキューを使わず、すぐに投稿する）
+// - windows: 投稿する時間帯（"09:00-12:00,18:00-21:00"）。時間帯の外の実行では新規投稿しない
+// - timeZone: 時間帯と日付の基準（既定: Asia/Tokyo）
+// - categoryPriority: カテゴリごとの優先度（"news:10,tutorial:5"）。カテゴリのIDまたは名前で指定する
+// - cwd: 同期のワークフロー（.github/workflows/sync-to-qiita.yml）を探すディレクトリ
+class PublishQueue {
+  constructor(options = {}) {
+    this.workflowPath = path.join(options.cwd || process.cwd(), SYNC_WORKFLOW_PATH);
+    this.dailyLimit = this.parseDailyLimit(options.dailyLimit);
+    this.windows = this.parseWindows(options.windows);
+    this.timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    this.categoryPriority = this.parseCategoryPriority(options.categoryPriority);
+
+    try {
+      this.dateFormat = new Intl.DateTimeFormat('en-CA', {
+        timeZone: this.timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      });
+    } catch (error) {
+      throw new Error(`Unknown time zone in PUBLISH_TIMEZONE: ${this.timeZone}`);
+    }
+  }
+
+  get enabled() {
+    return this.dailyLimit !== null;
+  }
+
+  parseDailyLimit(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`PUBLISH_DAILY_LIMIT must be a positive integer: ${value}`);
+    }
+
+    return limit;
+  }
+
+  // "09:00-12:00,18:00-21:00" → [{ start: 540, end: 720 }, { start: 1080, end: 1260 }]（0時からの分）
+  parseWindows(value) {
+    if (!value) {
+      return [];
+    }
+
+    return value.split(',').map(window => window.trim()).filter(Boolean).map(window => {
+      const match = window.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+      const start = match && Number(match[1]) * 60 + Number(match[2]);
+      const end = match && Number(match[3]) * 60 + Number(match[4]);
+
+      if (!match || Number(match[2]) > 59 || Number(match[4]) > 59 || end > 24 * 60 || start >= end) {
+        throw new Error(`Invalid time window in PUBLISH_WINDOWS: ${window} (expected HH:MM-HH:MM)`);
+      }
+
+      return { start, end };
+    });
+  }
+
+  // "news:10,tutorial:5" → { news: 10, tutorial: 5 }
+  parseCategoryPriority(value) {
+    if (!value) {
+      return {};
+    }
+
+    return Object.fromEntries(value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+      const separator = pair.lastIndexOf(':');
+      const category = pair.slice(0, separator).trim();
+      const priority = Number(pair.slice(separator + 1));
+
+      if (separator === -1 || !category || !Number.isFinite(priority)) {
+        throw new Error(`Invalid category priority in PUBLISH_CATEGORY_PRIORITY: ${pair} (expected category:number)`);
+      }
+
+      return [category, priority];
+    }));
+  }
+
+  // 同期履歴のキューを書き換えずに使えるよう、複製して返す
+  load(history) {
+    const state = history.publishQueue || {};
+
+    return {
+      entries: (state.entries || []).map(entry => ({ ...entry })),
+      published: Object.fromEntries(Object.entries(state.published || {}).map(([date, ids]) => [date, [...ids]]))
+    };
+  }
+
+  // タイムゾーンでの日付（YYYY-MM-DD）と0時からの分
+  localTime(date) {
+    const parts = Object.fromEntries(this.dateFormat.formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  addDays(localDate, days) {
+    const date = new Date(`${localDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  priorityOf(categoryKeys) {
+    const priorities = categoryKeys
+      .filter(key => Object.hasOwn(this.categoryPriority, key))
+      .map(key => this.categoryPriority[key]);
+
+    return priorities.length > 0 ? Math.max(...priorities) : 0;
+  }
+
+  find(state, articleId) {
+    return state.entries.find(entry => entry.articleId === articleId) || null;
+  }
+
+  // キューに追加する（追加済みの場合は false）
+  // 同じ優先度の記事の後ろ、優先度の低い記事の前に入れる
+  enqueue(state, article, categoryKeys, now = new Date()) {
+    if (this.find(state, article.id)) {
+      return false;
+    }
+
+    const priority = this.priorityOf(categoryKeys);
+    const index = state.entries.findIndex(entry => (entry.priority || 0) < priority);
+    const entry = {
+      articleId: article.id,
+      title: article.title,
+      priority: priority,
+      enqueuedAt: now.toISOString(),
+      notBefore: null
+    };
+
+    state.entries.splice(index === -1 ? state.entries.length : index, 0, entry);
+    return true;
+  }
+
+  remove(state, articleId) {
+    const index = state.entries.findIndex(entry => entry.articleId === articleId);
+    if (index === -1) {
+      return false;
+    }
+
+    state.entries.splice(index, 1);
+    return true;
+  }
+
+  // position（1始まり）の位置に移動する
+  move(state, articleId, position) {
+    const entry = this.find(state, articleId);
+    if (!entry) {
+      throw new Error(`${articleId} is not in the publish queue`);
+    }
+
+    this.remove(state, articleId);
+    state.entries.splice(Math.min(Math.max(position, 1), state.entries.length + 1) - 1, 0, entry);
+    return entry;
+  }
+
+  // until まで投稿しない（null で取り消す）
+  postpone(state, articleId, until) {
+    const entry = this.find(state, articleId);
+    if (!entry) {
+      throw new Error(`${articleId} is not in the publish queue`);
+    }
+
+    entry.notBefore = until ? new Date(until).toISOString() : null;
+    return entry;
+  }
+
+  // 投稿に失敗した記事（検査エラー・APIエラー）をキューの最後に回し、失敗した回数に応じて再試行を待つ
+  markFailed(state, articleId, now = new Date()) {
+    const entry = this.find(state, articleId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.failures = (entry.failures || 0) + 1;
+    const hours = Math.min(RETRY_MAX_HOURS, RETRY_BASE_HOURS * 2 ** (entry.failures - 1));
+    entry.notBefore = new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+    this.remove(state, articleId);
+    state.entries.push(entry);
+    return entry;
+  }
+
+  isInWindow(now = new Date()) {
+    if (this.windows.length === 0) {
+      return true;
+    }
+
+    const { minutes } = this.localTime(now);
+    return this.windows.some(window => minutes >= window.start && minutes < window.end);
+  }
+
+  // ワークフローの schedule に書かれた cron の一覧
+  // コメントアウトした行と、式（${{ }}）で組み立てる値は読み飛ばす
+  parseWorkflowSchedules(workflow) {
+    return workflow.split(/\r?\n/)
+      .filter(line => !line.trim().startsWith('#'))
+      .map(line => line.match(/^\s*(?:-\s*)?cron:\s*(['"]?)(.+?)\1\s*(?:#.*)?$/))
+      .filter(match => match && !match[2].includes('${{'))
+      .map(match => match[2].trim());
+  }
+
+  // 同期のワークフローの cron と、そのうち投稿する時間帯に入る実行がない cron（ワークフローがない場合は空）
+  findWorkflowSchedulesOutsideWindows(now = new Date()) {
+    let workflow;
+    try {
+      workflow = fs.readFileSync(this.workflowPath, 'utf8');
+    } catch (error) {
+      return { crons: [], outside: [] };
+    }
+
+    const crons = this.parseWorkflowSchedules(workflow);
+    return { crons, outside: this.findSchedulesOutsideWindows(crons, now) };
+  }
+
+  // cron（UTC、"0 0 * * *" など）の実行時刻のうち、投稿する時間帯に入るものがない cron を返す
+  // 各フィールドは *、数値、a-b、a,b、*/n に対応し、解釈できない cron は対象にしない
+  // 時間帯は毎日同じため、日・月・曜日のフィールドは検証だけ行い、分・時で判定する
+  findSchedulesOutsideWindows(crons, now = new Date()) {
+    if (this.windows.length === 0) {
+      return [];
+    }
+
+    return crons.filter(cron => {
+      const fields = cron.trim().split(/\s+/);
+      const values = fields.length === CRON_FIELD_RANGES.length
+        ? fields.map((field, index) => parseCronField(field, ...CRON_FIELD_RANGES[index]))
+        : [];
+      if (values.length === 0 || values.some(value => !value)) {
+        return false;
+      }
+
+      const [minutes, hours] = values;
+
+      return !hours.some(hour => minutes.some(minute => {
+        const runAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hour, minute));
+        return this.isInWindow(runAt);
+      }));
+    });
+  }
+
+  publishedCount(state, localDate) {
+    return (state.published[localDate] || []).length;
+  }
+
+  remainingToday(state, now = new Date()) {
+    return Math.max(0, this.dailyLimit - this.publishedCount(state, this.localTime(now).date));
+  }
+
+  // 今回の実行で投稿する記事（時間帯の外、または今日の上限に達している場合は空）
+  due(state, now = new Date()) {
+    if (!this.isInWindow(now)) {
+      return [];
+    }
+
+    return state.entries
+      .filter(entry => !entry.notBefore || new Date(entry.notBefore) <= now)
+      .slice(0, this.remainingToday(state, now));
+  }
+
+  // 新規投稿した記事をキューから外し、今日の投稿数に数える（キューを通さずに投稿した記事も数える）
+  markPublished(state, articleId, now = new Date()) {
+    const today = this.localTime(now).date;
+    const oldest = this.addDays(today, -PUBLISHED_LOG_DAYS);
+
+    this.remove(state, articleId);
+    state.published[today] = [...(state.published[today] || []), articleId];
+    Object.keys(state.published)
+      .filter(date => date < oldest)
+      .forEach(date => delete state.published[date]);
+  }
+
+  // キューの順に1日の上限ずつ割り当て、投稿予定日（YYYY-MM-DD）を見積もる
+  // 今日の時間帯がすべて過ぎている場合は翌日から数える。見積もれない記事は null
+  schedule(state, now = new Date()) {
+    const { date: today, minutes } = this.localTime(now);
+    const windowsPassed = this.windows.length > 0 && this.windows.every(window => minutes >= window.end);
+    const estimates = new Map();
+    let pending = [...state.entries];
+
+    for (let day = 0; day < MAX_SCHEDULE_DAYS && pending.length > 0; day++) {
+      const localDate = this.addDays(today, day);
+      let capacity = day === 0 ? (windowsPassed ? 0 : this.remainingToday(state, now)) : this.dailyLimit;
+
+      pending = pending.filter(entry => {
+        const available = !entry.notBefore || this.localTime(new Date(entry.notBefore)).date <= localDate;
+        if (capacity > 0 && available) {
+          capacity--;
+          estimates.set(entry.articleId, localDate);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    return state.entries.map((entry, index) => ({
+      ...entry,
+      position: index + 1,
+      estimatedDate: estimates.get(entry.articleId) || null
+    }));
+  }
+}
+
+// cron の1フィールドを値の配列にする（解釈できない場合は null）
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  for (const part of (field || '').split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start));
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      return null;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values];
+}
+
+module.exports = PublishQueue;
@@ -0,0 +1,90 @@
+const { outsideCodeBlocks } = require('./code-block-rules');
+
+// Qiitaのノート記法（:::note info ... :::）
+const NOTE_PATTERN = /^:::note (info|warn|alert)\n([\s\S]*?)\n:::$/gm;
+// 折りたたみ（<details><summary>見出し</summary> ... </details>）
+const DETAILS_PATTERN = /^<details><summary>([\s\S]*?)<\/summary>\n\n([\s\S]*?)\n\n<\/details>$/gm;
+// CodePenの埋め込みHTML（embed-rules.js が出力する形式）
+const CODEPEN_PATTERN = /^<p class="codepen"[^>]*data-slug-hash="([\w-]+)" data-user="([\w-]+)">[\s\S]*?<\/p>\n<script async src="https:\/\/cpwebassets\.codepen\.io\/[^"]*"><\/script>$/gm;
+// URLだけの行（YouTube・Xのポスト・リンクカード）
+const STANDALONE_URL_PATTERN = /^(https?:\/\/[^\s<>()]+)$/gm;
+
+// 記事の投稿先の共通インターフェース
+//
+// 投稿先ごとのクラスはこのクラスを継承し、次のメソッドを実装する
+// - render(payload, article): Qiita向けに組み立てたペイロード（title / body / tags / private）を投稿先の形式にする
+//   （戻り値を比較して前回と同じ内容なら更新しない）
+// - create(rendered, article): 新規に投稿し、{ id, url } を返す
+// - update(id, rendered, article): 投稿済みの記事を更新し、{ id, url } を返す
+// - unpublish(id): 非公開にする（孤立記事の private ポリシー）
+// - remove(id): 削除する（孤立記事の delete ポリシー）。戻り値の removed が false の場合は非公開にしただけ
+// - preview(rendered): ドライランで書き出す内容
+class Publisher {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  render(payload) {
+    return payload;
+  }
+
+  preview(rendered) {
+    return rendered.body;
+  }
+
+  async create() {
+    throw new Error(`${this.label}: create is not implemented`);
+  }
+
+  async update() {
+    throw new Error(`${this.label}: update is not implemented`);
+  }
+
+  async unpublish() {
+    throw new Error(`${this.label}: unpublish is not implemented`);
+  }
+
+  async remove() {
+    throw new Error(`${this.label}: remove is not implemented`);
+  }
+}
+
+// Qiita記法の本文を投稿先の記法に書き換える（コードブロックの中は書き換えない）
+// rules: { note(type, content), details(summary, content), codepen(url), standaloneUrl(url) } のうち必要なもの
+function convertQiitaMarkdown(markdown, rules = {}) {
+  return outsideCodeBlocks(markdown, text => {
+    let converted = text;
+
+    if (rules.codepen) {
+      converted = converted.replace(CODEPEN_PATTERN, (match, slug, user) => rules.codepen(`https://codepen.io/${user}/pen/${slug}`));
+    }
+    if (rules.note) {
+      converted = converted.replace(NOTE_PATTERN, (match, type, content) => rules.note(type, content));
+    }
+    if (rules.details) {
+      converted = converted.replace(DETAILS_PATTERN, (match, summary, content) => rules.details(summary, content));
+    }
+    if (rules.standaloneUrl) {
+      converted = converted.replace(STANDALONE_URL_PATTERN, (match, url) => rules.standaloneUrl(url));
+    }
+
+    return converted;
+  });
+}
+
+// タグ名を英小文字と数字だけの名前にする（Zennのトピック・dev.toのタグ）
+// 変換後に空になるタグや重複は除き、max 件までにする
+function toSimpleTagNames(tags, max) {
+  const names = tags
+    .map(tag => (tag.name || '').toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .filter(Boolean);
+
+  return [...new Set(names)].slice(0, max);
+}
+
+module.exports = {
+  Publisher,
+  convertQiitaMarkdown,
+  toSimpleTagNames
+};
@@ -0,0 +1,207 @@
+const axios = require('axios');
+const RetryPolicy = require('./retry-policy');
+const { logger } = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://qiita.com/api/v2';
+// 429・5xx・通信エラー時の最大リトライ回数
+const DEFAULT_MAX_RETRIES = 4;
+// レート制限の情報がまだ無いときの記事間の待機時間（従来の固定待機と同じ）
+const DEFAULT_MIN_INTERVAL_MS = 2000;
+// 残りリクエスト数がこの値以上なら記事間で待機しない
+const DEFAULT_LOW_QUOTA_THRESHOLD = 50;
+// 作成に失敗した記事が実際には作成されていないか探すときに確かめる最新の記事の数
+const CREATED_ITEM_LOOKUP_COUNT = 20;
+// 記事の作成日時とこのマシンの時計のずれの許容範囲
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class QiitaClient {
+  constructor(options = {}) {
+    this.accessToken = options.accessToken;
+    this.baseURL = options.baseURL || DEFAULT_BASE_URL;
+    // axios と同じ request を持つHTTPクライアント（テストで差し替える）
+    this.http = options.http || axios;
+    this.retryPolicy = new RetryPolicy({
+      name: 'Qiita',
+      maxRetries: options.maxRetries ?? DEFAULT_MAX_RETRIES,
+      baseDelayMs: options.baseDelayMs,
+      maxDelayMs: options.maxDelayMs,
+      sleep: ms => this.sleep(ms)
+    });
+    this.minIntervalMs = options.minIntervalMs ?? DEFAULT_MIN_INTERVAL_MS;
+    this.lowQuotaThreshold = options.lowQuotaThreshold ?? DEFAULT_LOW_QUOTA_THRESHOLD;
+
+    // Qiitaのレスポンスヘッダー（Rate-Limit / Rate-Remaining / Rate-Reset）から更新する
+    this.rateLimit = {
+      limit: null,
+      remaining: null,
+      resetAt: null // ミリ秒のUNIX時間
+    };
+  }
+
+  async getItem(itemId) {
+    const response = await this.request('get', `/items/${itemId}`);
+    return response.data;
+  }
+
+  // 5xx・通信エラーでも記事が作成されている場合があるため、作成済みの記事がないか確かめてからリトライする
+  async createItem(payload) {
+    const startedAt = Date.now();
+    const response = await this.request('post', '/items', payload, {
+      recover: () => this.findCreatedItem(payload, startedAt)
+    });
+    return response.data;
+  }
+
+  // 認証ユーザーの最新の記事から、since 以降に作成されたタイトルと本文が同じ記事を探す
+  async findCreatedItem(payload, since) {
+    const response = await this.request('get', `/authenticated_user/items?page=1&per_page=${CREATED_ITEM_LOOKUP_COUNT}`);
+    const item = response.data.find(candidate =>
+      candidate.title === payload.title &&
+      String(candidate.body).trim() === String(payload.body).trim() &&
+      Date.parse(candidate.created_at) >= since - CLOCK_SKEW_MS
+    );
+
+    return item ? { ...response, data: item } : null;
+  }
+
+  async updateItem(itemId, payload) {
+    const response = await this.request('patch', `/items/${itemId}`, payload);
+    return response.data;
+  }
+
+  async deleteItem(itemId) {
+    await this.request('delete', `/items/${itemId}`);
+  }
+
+  async getAuthenticatedUser() {
+    const response = await this.request('get', '/authenticated_user');
+    return response.data;
+  }
+
+  // 認証ユーザーの記事を全ページ取得（Qiitaのページ番号は最大100）
+  async listAuthenticatedUserItems(options = {}) {
+    const { perPage = 100 } = options;
+    const items = [];
+
+    for (let page = 1; page <= 100; page++) {
+      const response = await this.request('get', `/authenticated_user/items?page=${page}&per_page=${perPage}`);
+      items.push(...response.data);
+
+      if (response.data.length < perPage) {
+        break;
+      }
+    }
+
+    return items;
+  }
+
+  // options.recover: 冪等でないリクエストが5xx・通信エラーになったときの確認（RetryPolicy#run を参照）
+  async request(method, path, data, options = {}) {
+    const send = async () => {
+      await this.waitForQuota();
+
+      try {
+        const response = await this.http.request({
+          method: method,
+          url: `${this.baseURL}${path}`,
+          data: data,
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        this.updateRateLimit(response.headers);
+        return response;
+
+      } catch (error) {
+        if (error.response) {
+          this.updateRateLimit(error.response.headers);
+        }
+        throw error;
+      }
+    };
+
+    return this.retryPolicy.run(method, path, send, {
+      getDelay: error => this.getRateLimitDelay(error),
+      recover: options.recover
+    });
+  }
+
+  // 429 でリセット時刻が分かっている場合は、次のリクエスト前に waitForQuota でリセットまで待つ
+  getRateLimitDelay(error) {
+    if (error.response?.status === 429 && this.getMsUntilReset() > 0) {
+      this.rateLimit.remaining = 0;
+      return 0;
+    }
+
+    return undefined;
+  }
+
+  updateRateLimit(headers = {}) {
+    const limit = parseInt(headers['rate-limit'], 10);
+    const remaining = parseInt(headers['rate-remaining'], 10);
+    const reset = parseInt(headers['rate-reset'], 10);
+
+    if (Number.isFinite(limit)) {
+      this.rateLimit.limit = limit;
+    }
+    if (Number.isFinite(remaining)) {
+      this.rateLimit.remaining = remaining;
+    }
+    if (Number.isFinite(reset)) {
+      this.rateLimit.resetAt = reset * 1000;
+    }
+  }
+
+  getMsUntilReset() {
+    if (!this.rateLimit.resetAt) {
+      return 0;
+    }
+
+    return Math.max(0, this.rateLimit.resetAt - Date.now());
+  }
+
+  // 残りリクエスト数が0の場合はリセット時刻まで待機
+  async waitForQuota() {
+    if (this.rateLimit.remaining !== 0) {
+      return;
+    }
+
+    const untilReset = this.getMsUntilReset();
+    if (untilReset > 0) {
+      logger.info(`⏳ Qiita rate limit exhausted, waiting ${Math.ceil(untilReset / 1000)}s until reset...`);
+      await this.sleep(untilReset + 1000);
+    }
+
+    this.rateLimit.remaining = null;
+  }
+
+  // 記事ごとの処理の間に呼び出し、残りリクエスト数に応じて間隔を空ける
+  async throttle() {
+    const { remaining } = this.rateLimit;
+
+    if (remaining === null) {
+      await this.sleep(this.minIntervalMs);
+      return;
+    }
+
+    if (remaining >= this.lowQuotaThreshold) {
+      return;
+    }
+
+    // 残りが少ない場合は、リセットまでの時間を残りリクエスト数で均等に割って待つ
+    const untilReset = this.getMsUntilReset();
+    const delay = remaining > 0 ? Math.ceil(untilReset / remaining) : untilReset;
+    if (delay > 0) {
+      logger.info(`⏳ Qiita rate limit is low (${remaining} remaining), waiting ${Math.ceil(delay / 1000)}s...`);
+      await this.sleep(delay);
+    }
+  }
+
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = QiitaClient;
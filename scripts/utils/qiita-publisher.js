@@ -0,0 +1,46 @@
+const { Publisher } = require('./publisher');
+
+// Qiitaへの投稿（本文はQiita向けに変換したものをそのまま使う）
+class QiitaPublisher extends Publisher {
+  constructor(options = {}) {
+    super('qiita', 'Qiita');
+    this.client = options.client;
+  }
+
+  async create(payload) {
+    const item = await this.client.createItem(payload);
+    return { id: item.id, url: item.url, item };
+  }
+
+  async update(itemId, payload) {
+    const item = await this.client.updateItem(itemId, payload);
+    return { id: item.id, url: item.url, item };
+  }
+
+  async unpublish(itemId) {
+    // PATCHではタイトル・本文・タグが必須のため、現在の内容を取得してから限定共有にする
+    const item = await this.client.getItem(itemId);
+
+    return this.client.updateItem(itemId, {
+      title: item.title,
+      body: item.body,
+      tags: item.tags,
+      private: true
+    });
+  }
+
+  async remove(itemId) {
+    try {
+      await this.client.deleteItem(itemId);
+    } catch (error) {
+      // 既にQiita側で削除されている場合は目的を達成済みとみなす
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+
+    return { removed: true };
+  }
+}
+
+module.exports = QiitaPublisher;
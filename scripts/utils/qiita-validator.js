@@ -0,0 +1,136 @@
+// Qiita APIに送る前に記事のペイロードを検査する
+//
+// - errors: Qiitaに拒否される、または記事として成り立たない問題（同期しない）
+// - warnings: 投稿はできるが表示が崩れる可能性がある問題
+
+const QIITA_MAX_TITLE_LENGTH = 255;
+const QIITA_MIN_TAGS = 1;
+const QIITA_MAX_TAGS = 5;
+const QIITA_MAX_TAG_LENGTH = 20;
+// 本文の上限の目安（これを超える記事はQiita側で拒否されることがある）
+const QIITA_MAX_BODY_LENGTH = 100000;
+// タグ名に使えない文字（空白・カンマ）
+const INVALID_TAG_CHARACTERS = /[\s,]/;
+
+// 変換ルールが意図的にHTMLのまま出力するタグ（折りたたみ・改行・表のフォールバック・CodePenの埋め込み）
+const ALLOWED_HTML_TAGS = new Set([
+  'details', 'summary', 'br',
+  'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+]);
+
+// Qiita上でも解決できるリンク先（それ以外の相対パスはリンク切れになる）
+const ABSOLUTE_URL_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i;
+
+// コードブロック・インラインコードの中は検査しない
+function stripCode(markdown) {
+  return markdown
+    .replace(/^(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1[^\S\n]*$/gm, '')
+    .replace(/`+[^`\n]*`+/g, '');
+}
+
+// CodePenの埋め込みは意図したHTMLのため検査から外す
+function stripEmbeds(markdown) {
+  return markdown
+    .replace(/<p class="codepen"[\s\S]*?<\/p>/g, '')
+    .replace(/<script async src="https:\/\/cpwebassets\.codepen\.io\/[^"]*"><\/script>/g, '');
+}
+
+class QiitaValidator {
+  // 戻り値: { valid, errors: [...], warnings: [...] }
+  // options.sourceHtml: 変換前のHTML（src のない画像など、変換で消えた要素の検出に使う）
+  validate(payload, options = {}) {
+    const errors = [];
+    const warnings = [];
+
+    this.validateTitle(payload.title, errors);
+    this.validateTags(payload.tags, errors);
+    this.validateBody(payload.body, errors, warnings);
+
+    if (options.sourceHtml) {
+      this.validateSourceHtml(options.sourceHtml, warnings);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  validateTitle(title, errors) {
+    if (typeof title !== 'string' || !title.trim()) {
+      errors.push('Title is empty');
+    } else if (title.length > QIITA_MAX_TITLE_LENGTH) {
+      errors.push(`Title is ${title.length} characters (max ${QIITA_MAX_TITLE_LENGTH})`);
+    }
+  }
+
+  validateTags(tags, errors) {
+    const list = Array.isArray(tags) ? tags : [];
+
+    if (list.length < QIITA_MIN_TAGS || list.length > QIITA_MAX_TAGS) {
+      errors.push(`Qiita requires ${QIITA_MIN_TAGS}-${QIITA_MAX_TAGS} tags, got ${list.length}`);
+    }
+
+    list.forEach(tag => {
+      const name = tag && tag.name;
+
+      if (typeof name !== 'string' || !name) {
+        errors.push('Tag without a name');
+      } else if (INVALID_TAG_CHARACTERS.test(name)) {
+        errors.push(`Tag "${name}" contains whitespace or commas`);
+      } else if (name.length > QIITA_MAX_TAG_LENGTH) {
+        errors.push(`Tag "${name}" is longer than ${QIITA_MAX_TAG_LENGTH} characters`);
+      }
+
+      if (tag && tag.versions !== undefined &&
+          (!Array.isArray(tag.versions) || !tag.versions.every(version => typeof version === 'string' && !/\s/.test(version)))) {
+        errors.push(`Tag "${name}" has invalid versions`);
+      }
+    });
+  }
+
+  validateBody(body, errors, warnings) {
+    if (typeof body !== 'string' || !body.trim()) {
+      errors.push('Body is empty');
+      return;
+    }
+
+    if (body.length > QIITA_MAX_BODY_LENGTH) {
+      errors.push(`Body is ${body.length} characters (max ${QIITA_MAX_BODY_LENGTH})`);
+    }
+
+    const text = stripEmbeds(stripCode(body));
+
+    // turndownが変換できずに残ったHTML
+    const leftoverTags = new Set();
+    for (const match of text.matchAll(/<\/?([a-z][\w-]*)(?=[\s/>])[^>]*>/gi)) {
+      const tagName = match[1].toLowerCase();
+      if (!ALLOWED_HTML_TAGS.has(tagName)) {
+        leftoverTags.add(tagName);
+      }
+    }
+    if (leftoverTags.size > 0) {
+      warnings.push(`Raw HTML left in body: ${[...leftoverTags].map(tag => `<${tag}>`).join(', ')}`);
+    }
+
+    // リンク・画像の参照先（![alt](src "title") / [text](href)）
+    for (const match of text.matchAll(/(!?)\[[^\]]*\]\(\s*([^)\s]*)[^)]*\)/g)) {
+      const [, isImage, target] = match;
+
+      if (!target) {
+        warnings.push(isImage ? 'Image without src' : `Link without a URL: ${match[0]}`);
+      } else if (!ABSOLUTE_URL_PATTERN.test(target)) {
+        warnings.push(`${isImage ? 'Image' : 'Link'} with a relative URL will be broken on Qiita: ${target}`);
+      }
+    }
+  }
+
+  validateSourceHtml(html, warnings) {
+    const imagesWithoutSrc = [...html.matchAll(/<img\b[^>]*>/gi)]
+      .filter(([tag]) => !/\ssrc\s*=\s*["']?[^"'\s>]/i.test(tag))
+      .length;
+
+    if (imagesWithoutSrc > 0) {
+      warnings.push(`${imagesWithoutSrc} image(s) without src were removed from the body`);
+    }
+  }
+}
+
+module.exports = QiitaValidator;
@@ -0,0 +1,97 @@
+const { logger } = require('./logger');
+
+// 429・5xx・通信エラー時の最大リトライ回数
+const DEFAULT_MAX_RETRIES = 3;
+// 指数バックオフの初期待機時間と上限
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 1000;
+// 冪等でないPOSTは、サーバーに届いたか分からない通信エラーと5xxではそのままリトライしない
+// （5xxでも記事が作成されている場合があり、リトライすると同じ記事が重複して投稿される）
+// run() の options.recover で処理済みでないと確かめられた場合だけリトライする
+const IDEMPOTENT_METHODS = ['get', 'put', 'patch', 'delete'];
+
+// APIクライアント共通のリトライ（指数バックオフ + ジッター、429 の Retry-After）
+class RetryPolicy {
+  constructor(options = {}) {
+    // ログに出すAPIの名前（"Qiita" など）
+    this.name = options.name || 'HTTP';
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+    // 待機に使う関数（クライアントの sleep を渡してテストで差し替えられるようにする）
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  // send() を実行し、リトライできるエラーの場合は待機してやり直す
+  // options.getDelay(error, attempt): 待機時間を決める（undefined を返すと既定の待機時間）
+  // options.recover(error): POSTが5xx・通信エラーになったときに、リクエストが処理済みか確かめる
+  //   処理済みの結果を返すとそれを戻り値にし、null を返すと処理されていないとみなしてリトライする
+  async run(method, path, send, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send();
+      } catch (error) {
+        const retryable = this.isRetryable(method, error);
+        // 冪等なリクエストならリトライできるエラー（5xx・通信エラー）は、処理済みでないと確かめられればリトライする
+        const recoverable = !retryable && Boolean(options.recover) && this.isRetryable('get', error);
+
+        if (attempt >= this.maxRetries || !(retryable || recoverable)) {
+          throw error;
+        }
+
+        if (recoverable) {
+          const recovered = await this.recover(method, path, error, options.recover);
+          if (recovered) {
+            return recovered;
+          }
+        }
+
+        const delay = options.getDelay?.(error, attempt) ?? this.getRetryDelay(error, attempt);
+        const reason = error.response?.status || error.code || error.message;
+        logger.warn(`⚠️  ${this.name} API ${method.toUpperCase()} ${path} failed (${reason}), retrying (${attempt + 1}/${this.maxRetries})`);
+        if (delay > 0) {
+          await this.sleep(delay);
+        }
+      }
+    }
+  }
+
+  async recover(method, path, error, recover) {
+    try {
+      const recovered = await recover(error);
+      if (recovered) {
+        logger.info(`🩹 ${this.name} API ${method.toUpperCase()} ${path} failed (${error.response?.status || error.code || error.message}) but had been processed, not retrying`);
+      }
+      return recovered;
+    } catch (lookupError) {
+      // 処理済みか確かめられない場合は、重複を避けるためリトライせずに元のエラーを返す
+      logger.debug(`${this.name} API ${method.toUpperCase()} ${path}: could not check whether the failed request was processed: ${lookupError.message}`);
+      throw error;
+    }
+  }
+
+  isRetryable(method, error) {
+    const status = error.response?.status;
+    const idempotent = IDEMPOTENT_METHODS.includes(method.toLowerCase());
+
+    if (status) {
+      return status === 429 || (status >= 500 && idempotent);
+    }
+
+    // レスポンスが無い通信エラー
+    return idempotent;
+  }
+
+  // 429 の Retry-After（秒）に従い、なければ指数バックオフ + ジッター（待機時間の後半半分からランダムに選ぶ）
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+    if (error.response?.status === 429 && Number.isFinite(retryAfter)) {
+      return Math.min(this.maxDelayMs, retryAfter * 1000);
+    }
+
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+}
+
+module.exports = RetryPolicy;
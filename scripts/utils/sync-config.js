@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// カレントディレクトリから探す設定ファイル（先に見つかったものを使う）
+const CONFIG_FILES = ['sync.config.js', 'sync.config.json'];
+const BODY_TYPES = ['html', 'markdown', 'repeat'];
+const BLOCK_TYPES = ['html', 'markdown'];
+const ENDPOINT_KEYS = ['endpoint', 'urlPath', 'historyKeyPrefix', 'fields'];
+const FIELD_KEYS = ['title', 'body', 'excerpt', 'category', 'tags', 'private', 'sync', 'titleOverride', 'publishAfter'];
+// 記事ごとの同期の制御に使うフィールドの既定値（スキーマにないフィールドは無視される）
+const DEFAULT_CONTROL_FIELDS = {
+  private: 'qiitaPrivate',
+  sync: 'qiitaSync',
+  titleOverride: 'qiitaTitle',
+  publishAfter: 'qiitaPublishAfter'
+};
+
+// 設定ファイルがない場合の既定値（従来の articles エンドポイントの構成）
+const DEFAULT_SYNC_CONFIG = {
+  endpoints: [
+    {
+      endpoint: 'articles',
+      urlPath: '/articles/{id}',
+      fields: {
+        title: 'title',
+        body: [{ fieldId: 'content', type: 'html' }],
+        excerpt: 'excerpt',
+        category: 'category',
+        tags: ['category', 'tags']
+      }
+    }
+  ]
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+function checkUnknownKeys(value, allowedKeys, label, errors) {
+  Object.keys(value)
+    .filter(key => !allowedKeys.includes(key))
+    .forEach(key => errors.push(`${label}.${key}: unknown key (allowed: ${allowedKeys.join(', ')})`));
+}
+
+function validateBodyMapping(mapping, label, errors) {
+  if (isNonEmptyString(mapping)) {
+    return;
+  }
+
+  if (!isObject(mapping)) {
+    errors.push(`${label}: must be a field ID or { fieldId, type }`);
+    return;
+  }
+
+  checkUnknownKeys(mapping, ['fieldId', 'type', 'blocks'], label, errors);
+
+  if (!isNonEmptyString(mapping.fieldId)) {
+    errors.push(`${label}.fieldId: must be a non-empty string`);
+  }
+
+  const type = mapping.type || 'html';
+  if (!BODY_TYPES.includes(type)) {
+    errors.push(`${label}.type: must be one of ${BODY_TYPES.join(', ')}`);
+    return;
+  }
+
+  if (type !== 'repeat') {
+    if (mapping.blocks !== undefined) {
+      errors.push(`${label}.blocks: only allowed when type is "repeat"`);
+    }
+    return;
+  }
+
+  // 繰り返しフィールド: 各要素の fieldId（カスタムフィールドID）ごとに中身のフィールドと形式を指定する
+  if (!Array.isArray(mapping.blocks) || mapping.blocks.length === 0) {
+    errors.push(`${label}.blocks: must be a non-empty array when type is "repeat"`);
+    return;
+  }
+
+  mapping.blocks.forEach((block, index) => {
+    const blockLabel = `${label}.blocks[${index}]`;
+
+    if (!isObject(block)) {
+      errors.push(`${blockLabel}: must be an object`);
+      return;
+    }
+
+    checkUnknownKeys(block, ['fieldId', 'field', 'type'], blockLabel, errors);
+
+    if (!isNonEmptyString(block.fieldId)) {
+      errors.push(`${blockLabel}.fieldId: must be a non-empty string`);
+    }
+    if (block.field !== undefined && !isNonEmptyString(block.field)) {
+      errors.push(`${blockLabel}.field: must be a non-empty string`);
+    }
+    if (block.type !== undefined && !BLOCK_TYPES.includes(block.type)) {
+      errors.push(`${blockLabel}.type: must be one of ${BLOCK_TYPES.join(', ')}`);
+    }
+  });
+}
+
+function validateFields(fields, label, errors) {
+  if (!isObject(fields)) {
+    errors.push(`${label}: must be an object`);
+    return;
+  }
+
+  checkUnknownKeys(fields, FIELD_KEYS, label, errors);
+
+  if (!isNonEmptyString(fields.title)) {
+    errors.push(`${label}.title: must be a field ID`);
+  }
+
+  if (fields.body === undefined) {
+    errors.push(`${label}.body: is required`);
+  } else if (Array.isArray(fields.body)) {
+    if (fields.body.length === 0) {
+      errors.push(`${label}.body: must not be empty`);
+    }
+    fields.body.forEach((mapping, index) => validateBodyMapping(mapping, `${label}.body[${index}]`, errors));
+  } else {
+    validateBodyMapping(fields.body, `${label}.body`, errors);
+  }
+
+  ['excerpt', 'category'].forEach(key => {
+    if (fields[key] !== undefined && fields[key] !== null && !isNonEmptyString(fields[key])) {
+      errors.push(`${label}.${key}: must be a field ID`);
+    }
+  });
+
+  if (fields.tags !== undefined) {
+    const tags = Array.isArray(fields.tags) ? fields.tags : [fields.tags];
+    if (!tags.every(isNonEmptyString)) {
+      errors.push(`${label}.tags: must be a field ID or an array of field IDs`);
+    }
+  }
+
+  if (fields.private !== undefined && typeof fields.private !== 'boolean' && !isNonEmptyString(fields.private)) {
+    errors.push(`${label}.private: must be a boolean or a field ID`);
+  }
+
+  // null を指定すると、その制御を使わない
+  ['sync', 'titleOverride', 'publishAfter'].forEach(key => {
+    if (fields[key] !== undefined && fields[key] !== null && !isNonEmptyString(fields[key])) {
+      errors.push(`${label}.${key}: must be a field ID or null`);
+    }
+  });
+}
+
+// 設定の誤りをすべて集めて返す（空配列なら正しい設定）
+function validateSyncConfig(config) {
+  const errors = [];
+
+  if (!isObject(config)) {
+    return ['config: must be an object'];
+  }
+
+  checkUnknownKeys(config, ['endpoints'], 'config', errors);
+
+  if (!Array.isArray(config.endpoints) || config.endpoints.length === 0) {
+    errors.push('endpoints: must be a non-empty array');
+    return errors;
+  }
+
+  const seenEndpoints = new Set();
+
+  config.endpoints.forEach((endpointConfig, index) => {
+    const label = `endpoints[${index}]`;
+
+    if (!isObject(endpointConfig)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    checkUnknownKeys(endpointConfig, ENDPOINT_KEYS, label, errors);
+
+    if (!isNonEmptyString(endpointConfig.endpoint) || !/^[\w-]+$/.test(endpointConfig.endpoint)) {
+      errors.push(`${label}.endpoint: must be a microCMS API endpoint name`);
+    } else if (seenEndpoints.has(endpointConfig.endpoint)) {
+      errors.push(`${label}.endpoint: "${endpointConfig.endpoint}" is configured more than once`);
+    } else {
+      seenEndpoints.add(endpointConfig.endpoint);
+    }
+
+    if (endpointConfig.urlPath !== undefined && (!isNonEmptyString(endpointConfig.urlPath) || !endpointConfig.urlPath.includes('{id}'))) {
+      errors.push(`${label}.urlPath: must be a path containing "{id}"`);
+    }
+
+    if (endpointConfig.historyKeyPrefix !== undefined && typeof endpointConfig.historyKeyPrefix !== 'string') {
+      errors.push(`${label}.historyKeyPrefix: must be a string`);
+    }
+
+    validateFields(endpointConfig.fields, `${label}.fields`, errors);
+  });
+
+  return errors;
+}
+
+function normalizeBodyMapping(mapping) {
+  const normalized = typeof mapping === 'string' ? { fieldId: mapping } : { ...mapping };
+  normalized.type = normalized.type || 'html';
+
+  if (normalized.type === 'repeat') {
+    normalized.blocks = normalized.blocks.map(block => ({
+      fieldId: block.fieldId,
+      field: block.field || block.fieldId,
+      type: block.type || 'html'
+    }));
+  }
+
+  return normalized;
+}
+
+// 省略された項目を既定値で埋める
+function normalizeSyncConfig(config) {
+  return {
+    endpoints: config.endpoints.map((endpointConfig, index) => {
+      const fields = endpointConfig.fields;
+
+      return {
+        endpoint: endpointConfig.endpoint,
+        urlPath: endpointConfig.urlPath || `/${endpointConfig.endpoint}/{id}`,
+        // 最初のエンドポイントは既存の履歴と互換性を保つため、記事IDをそのまま履歴のキーにする
+        // （"." はmicroCMSのコンテンツIDに使えないため、別エンドポイントのIDと衝突しない）
+        historyKeyPrefix: endpointConfig.historyKeyPrefix ?? (index === 0 ? '' : `${endpointConfig.endpoint}.`),
+        fields: {
+          title: fields.title,
+          body: [].concat(fields.body).map(normalizeBodyMapping),
+          excerpt: fields.excerpt || null,
+          category: fields.category || null,
+          tags: fields.tags === undefined ? [] : [].concat(fields.tags),
+          private: fields.private ?? DEFAULT_CONTROL_FIELDS.private,
+          sync: fields.sync === undefined ? DEFAULT_CONTROL_FIELDS.sync : fields.sync,
+          titleOverride: fields.titleOverride === undefined ? DEFAULT_CONTROL_FIELDS.titleOverride : fields.titleOverride,
+          publishAfter: fields.publishAfter === undefined ? DEFAULT_CONTROL_FIELDS.publishAfter : fields.publishAfter
+        }
+      };
+    })
+  };
+}
+
+// microCMSから取得するフィールドの一覧
+function collectFieldIds(endpointConfig) {
+  const { fields } = endpointConfig;
+  const fieldIds = [
+    'id',
+    'publishedAt',
+    'updatedAt',
+    'revisedAt',
+    fields.title,
+    ...fields.body.map(mapping => mapping.fieldId),
+    fields.excerpt,
+    fields.category,
+    ...fields.tags,
+    typeof fields.private === 'string' ? fields.private : null,
+    fields.sync,
+    fields.titleOverride,
+    fields.publishAfter
+  ];
+
+  return [...new Set(fieldIds.filter(Boolean))];
+}
+
+// 参照フィールド・複数選択・カンマ区切りテキストなどから名前の一覧を取り出す
+function extractNames(value) {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap(extractNames);
+  }
+
+  if (typeof value === 'string') {
+    return value.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  if (typeof value === 'object') {
+    const name = value.name || value.title;
+    return typeof name === 'string' && name.trim() ? [name.trim()] : [];
+  }
+
+  return [];
+}
+
+// 本文のフィールドを { type, content } の配列にする（繰り返しフィールドは要素ごとに分ける）
+function extractBodyParts(content, bodyMappings) {
+  const parts = [];
+
+  for (const mapping of bodyMappings) {
+    const value = content[mapping.fieldId];
+
+    if (mapping.type !== 'repeat') {
+      if (typeof value === 'string' && value.trim()) {
+        parts.push({ type: mapping.type, content: value });
+      }
+      continue;
+    }
+
+    for (const item of Array.isArray(value) ? value : []) {
+      const block = mapping.blocks.find(candidate => candidate.fieldId === item.fieldId);
+      if (!block) {
+        logger.warn(`⚠️  Unmapped repeat block "${item.fieldId}" in ${mapping.fieldId} of ${content.id}, skipping`);
+        continue;
+      }
+
+      const blockValue = item[block.field];
+      if (typeof blockValue === 'string' && blockValue.trim()) {
+        parts.push({ type: block.type, content: blockValue });
+      }
+    }
+  }
+
+  return parts;
+}
+
+// microCMSのコンテンツを設定に従ってQiitaに送る項目へ対応付ける
+function mapContent(content, endpointConfig) {
+  const { fields } = endpointConfig;
+
+  return {
+    title: content[fields.title],
+    bodyParts: extractBodyParts(content, fields.body),
+    excerpt: fields.excerpt ? content[fields.excerpt] : null,
+    category: fields.category ? content[fields.category] : null,
+    tagNames: fields.tags.flatMap(fieldId => extractNames(content[fieldId])),
+    private: typeof fields.private === 'string' ? Boolean(content[fields.private]) : fields.private,
+    // 同期の制御（フィールドがない・空の場合は通常どおり同期する）
+    syncEnabled: fields.sync ? content[fields.sync] !== false : true,
+    titleOverride: fields.titleOverride && isNonEmptyString(content[fields.titleOverride])
+      ? content[fields.titleOverride].trim()
+      : null,
+    publishAfter: fields.publishAfter ? content[fields.publishAfter] ?? null : null
+  };
+}
+
+function loadSyncConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const configPath = options.configPath
+    ? path.resolve(cwd, options.configPath)
+    : CONFIG_FILES.map(file => path.join(cwd, file)).find(file => fs.existsSync(file));
+
+  if (!configPath) {
+    return normalizeSyncConfig(DEFAULT_SYNC_CONFIG);
+  }
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Sync config not found: ${configPath}`);
+  }
+
+  let config;
+  try {
+    config = configPath.endsWith('.json')
+      ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+      : require(configPath);
+  } catch (error) {
+    throw new Error(`Failed to read sync config ${configPath}: ${error.message}`);
+  }
+
+  const errors = validateSyncConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid sync config ${configPath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return normalizeSyncConfig(config);
+}
+
+module.exports = {
+  DEFAULT_SYNC_CONFIG,
+  loadSyncConfig,
+  validateSyncConfig,
+  normalizeSyncConfig,
+  collectFieldIds,
+  extractNames,
+  mapContent
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+// 通信できなかった場合のエラーコード（axios / Node.js）
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED'];
+
+// エラーを原因の種類に分類する（失敗時のissueや集計で使う）
+// auth / rate-limit / not-found / rejected / server / network / unknown
+// （投稿前の検査で止めた記事は invalid、Qiita側で編集されていた記事は drift を同期処理側で付ける）
+function categorizeError(error) {
+  const status = error?.response?.status;
+
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 429) {
+    return 'rate-limit';
+  }
+  if (status === 404) {
+    return 'not-found';
+  }
+  if (status >= 400 && status < 500) {
+    return 'rejected';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  if (NETWORK_ERROR_CODES.includes(error?.code) || (error?.request && !error?.response)) {
+    return 'network';
+  }
+
+  return 'unknown';
+}
+
+// APIのエラーは応答の内容（Qiitaの message など）を優先して1行にまとめる
+function describeError(error) {
+  const data = error?.response?.data;
+  const detail = data?.message || (typeof data === 'string' ? data : null);
+  const status = error?.response?.status;
+
+  return [status ? `HTTP ${status}` : null, detail || error?.message].filter(Boolean).join(': ');
+}
+
+// 1回の同期の結果を記事ごとに記録し、sync-report.json として書き出す
+//
+// articles[] の項目: id, title, endpoint, action, qiitaId, durationMs, errorCategory, error, reason, warnings, destinations
+// action: create / update / unchanged / skip / hold / invalid / deferred / drifted / error / orphan:<ポリシー>
+// destinations: 追加の投稿先ごとの結果（{ zenn: { action, id, errorCategory, error } }。投稿先がなければ null）
+class SyncReport {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.startedAt = new Date();
+    this.options = options.runOptions || {};
+    this.articles = [];
+    this.error = null;
+  }
+
+  addArticle(entry) {
+    this.articles.push({
+      id: entry.id,
+      title: entry.title || null,
+      endpoint: entry.endpoint || null,
+      action: entry.action,
+      qiitaId: entry.qiitaId || null,
+      durationMs: entry.durationMs ?? null,
+      errorCategory: entry.errorCategory || null,
+      error: entry.error || null,
+      reason: entry.reason || null,
+      warnings: entry.warnings || [],
+      destinations: entry.destinations || null
+    });
+  }
+
+  // 同期全体が中断した場合の原因
+  setError(error) {
+    this.error = {
+      category: categorizeError(error),
+      message: describeError(error)
+    };
+  }
+
+  // 失敗として扱う記事（エラー分類が付いた記事）
+  getFailures() {
+    return this.articles.filter(entry => entry.errorCategory);
+  }
+
+  countByAction() {
+    return this.articles.reduce((counts, entry) => {
+      counts[entry.action] = (counts[entry.action] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  toJSON() {
+    const finishedAt = new Date();
+
+    return {
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      status: this.error || this.getFailures().length > 0 ? 'failed' : 'success',
+      options: this.options,
+      error: this.error,
+      summary: this.countByAction(),
+      failures: this.getFailures().length,
+      articles: this.articles
+    };
+  }
+
+  write() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this, null, 2) + '\n');
+  }
+}
+
+module.exports = {
+  SyncReport,
+  categorizeError,
+  describeError
+};
@@ -0,0 +1,152 @@
+// <table> をGFMのテーブルに変換するturndownルール
+//
+// - 先頭行（<thead> の行、なければ最初の行）を見出し行にする
+// - text-align（style / align 属性）から列ごとの寄せ（:--- / :---: / ---:）を決める
+// - colspan / rowspan で結合されたセルの位置は空のセルで埋め、列数は一番長い行に揃える
+// - セル内のリストや改行は <br> でつなぎ、インラインコードやリンクはそのまま残す
+// - 入れ子のテーブルや複数行のコードブロックなど、GFMで表せないテーブルはHTMLのまま出力する
+
+const ALIGNMENT_SEPARATORS = {
+  left: ':---',
+  center: ':---:',
+  right: '---:',
+  none: '---'
+};
+
+function childElements(node, names) {
+  return Array.from(node.childNodes).filter(child => names.includes(child.nodeName));
+}
+
+// <thead> / <tbody> の順序を保ったまま、このテーブル直下の行を集める
+// <tfoot> はHTML上の位置に関係なく表の最後に表示されるため、最後に加える
+function collectRows(table) {
+  const rows = [];
+  const footerRows = [];
+
+  childElements(table, ['THEAD', 'TBODY', 'TFOOT', 'TR']).forEach(section => {
+    if (section.nodeName === 'TR') {
+      rows.push(section);
+    } else if (section.nodeName === 'TFOOT') {
+      footerRows.push(...childElements(section, ['TR']));
+    } else {
+      rows.push(...childElements(section, ['TR']));
+    }
+  });
+
+  return [...rows, ...footerRows];
+}
+
+function getAlignment(cell) {
+  const style = cell.getAttribute('style') || '';
+  const match = style.match(/text-align\s*:\s*(left|center|right)/i);
+  const align = match ? match[1] : cell.getAttribute('align');
+
+  return align && ALIGNMENT_SEPARATORS[align.toLowerCase()] ? align.toLowerCase() : null;
+}
+
+function getSpan(cell, attribute) {
+  const span = parseInt(cell.getAttribute(attribute), 10);
+  return Number.isInteger(span) && span > 1 ? span : 1;
+}
+
+// GFMのセルで表せない内容を含むか
+function isRepresentable(table) {
+  if (table.querySelector('table')) {
+    return false;
+  }
+
+  return Array.from(table.querySelectorAll('pre')).every(pre => !/\n/.test(pre.textContent.trim()));
+}
+
+// 結合セルを展開し、行 × 列のセル配列にする
+function buildGrid(rows) {
+  const grid = [];
+
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let columnIndex = 0;
+
+    childElements(row, ['TH', 'TD']).forEach(cell => {
+      while (grid[rowIndex][columnIndex]) {
+        columnIndex++;
+      }
+
+      const colspan = getSpan(cell, 'colspan');
+      const rowspan = getSpan(cell, 'rowspan');
+
+      for (let r = 0; r < rowspan; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIndex + r][columnIndex + c] = r === 0 && c === 0
+            ? { node: cell, alignment: getAlignment(cell) }
+            : { node: null, alignment: null };
+        }
+      }
+
+      columnIndex += colspan;
+    });
+  });
+
+  return grid.slice(0, rows.length);
+}
+
+function addTableRules(turndownService) {
+  // セルの中身をMarkdownに変換し、1行に収める
+  function convertCell(cell) {
+    if (!cell) {
+      return '';
+    }
+
+    // 1行だけのコードブロックはインラインコードにする
+    Array.from(cell.querySelectorAll('pre')).forEach(pre => {
+      const code = cell.ownerDocument.createElement('code');
+      code.textContent = pre.textContent.trim();
+      pre.parentNode.replaceChild(code, pre);
+    });
+
+    return turndownService.turndown(cell)
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .join('<br>')
+      .replace(/\|/g, '\\|');
+  }
+
+  turndownService.addRule('table', {
+    filter: 'table',
+    replacement: function (content, node) {
+      const rows = collectRows(node);
+      if (rows.length === 0) {
+        return '';
+      }
+
+      if (!isRepresentable(node)) {
+        return '\n\n' + node.outerHTML + '\n\n';
+      }
+
+      const grid = buildGrid(rows);
+      const columnCount = Math.max(...grid.map(row => row.length));
+
+      // 列の寄せは見出し行を優先し、なければその列で最初に指定されたセルに従う
+      const alignments = Array.from({ length: columnCount }, (_, columnIndex) => {
+        const aligned = grid.map(row => row[columnIndex]).find(cell => cell && cell.alignment);
+        return aligned ? aligned.alignment : 'none';
+      });
+
+      const lines = grid.map(row => {
+        const cells = Array.from({ length: columnCount }, (_, columnIndex) => {
+          const cell = row[columnIndex];
+          return convertCell(cell && cell.node ? cell.node.cloneNode(true) : null);
+        });
+        return '| ' + cells.join(' | ') + ' |';
+      });
+
+      const separator = '| ' + alignments.map(alignment => ALIGNMENT_SEPARATORS[alignment]).join(' | ') + ' |';
+      lines.splice(1, 0, separator);
+
+      return '\n\n' + lines.join('\n') + '\n\n';
+    }
+  });
+}
+
+module.exports = { addTableRules };
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DICTIONARY_PATH = path.join(__dirname, '..', '..', 'tag-dictionary.json');
+// Qiitaの制限: 1記事あたりのタグ数・タグ名の長さ
+const QIITA_MAX_TAGS = 5;
+const QIITA_MAX_TAG_LENGTH = 20;
+// "Next.js 14" / "Python3.12" / "vue-v3" のように末尾に付いたバージョン
+const TRAILING_VERSION_PATTERN = /^(.*?\D)[\s_-]*v?(\d+(?:\.\d+)*)$/i;
+// Qiitaのタグ名に使えない文字
+const TAG_WHITESPACE_PATTERN = /\s+/g;
+const TAG_SEPARATOR_PATTERN = /,/;
+
+// タグ辞書に従ってタグ名を正規化し、Qiitaのタグに揃える
+//
+// tag-dictionary.json の形式
+// {
+//   "tags": { "正式名": { "aliases": ["別名"], "versions": ["14"], "priority": 10 } },
+//   "banned": ["使わないタグ"],
+//   "required": { "カテゴリのIDまたは名前": ["必ず付けるタグ"] },
+//   "defaultTags": ["タグがない場合に使うタグ"],
+//   "maxTags": 5
+// }
+class TagNormalizer {
+  constructor(options = {}) {
+    this.dictionaryPath = options.dictionaryPath || DEFAULT_DICTIONARY_PATH;
+    this.dictionary = this.loadDictionary();
+    this.lookupTable = this.buildLookupTable();
+  }
+
+  loadDictionary() {
+    const empty = { tags: {}, banned: [], required: {}, defaultTags: [], maxTags: QIITA_MAX_TAGS };
+
+    if (!fs.existsSync(this.dictionaryPath)) {
+      return empty;
+    }
+
+    const dictionary = { ...empty, ...JSON.parse(fs.readFileSync(this.dictionaryPath, 'utf8')) };
+    const fail = message => {
+      throw new Error(`${this.dictionaryPath}: ${message}`);
+    };
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    Object.entries(dictionary.tags).forEach(([name, entry]) => {
+      if (entry.aliases !== undefined && !isStringArray(entry.aliases)) {
+        fail(`"tags.${name}.aliases" must be an array of strings`);
+      }
+      if (entry.versions !== undefined && !isStringArray(entry.versions)) {
+        fail(`"tags.${name}.versions" must be an array of strings`);
+      }
+      if (entry.priority !== undefined && typeof entry.priority !== 'number') {
+        fail(`"tags.${name}.priority" must be a number`);
+      }
+    });
+
+    if (!isStringArray(dictionary.banned)) {
+      fail('"banned" must be an array of strings');
+    }
+    if (!isStringArray(dictionary.defaultTags)) {
+      fail('"defaultTags" must be an array of strings');
+    }
+    Object.entries(dictionary.required).forEach(([category, tags]) => {
+      if (!isStringArray(tags)) {
+        fail(`"required.${category}" must be an array of strings`);
+      }
+    });
+    if (!Number.isInteger(dictionary.maxTags) || dictionary.maxTags < 1 || dictionary.maxTags > QIITA_MAX_TAGS) {
+      fail(`"maxTags" must be an integer between 1 and ${QIITA_MAX_TAGS}`);
+    }
+
+    return dictionary;
+  }
+
+  // 正式名・別名（大文字小文字を区別しない）→ 正式名
+  buildLookupTable() {
+    const table = new Map();
+
+    Object.entries(this.dictionary.tags).forEach(([name, entry]) => {
+      [name, ...(entry.aliases || [])].forEach(key => table.set(this.toKey(key), name));
+    });
+
+    return table;
+  }
+
+  toKey(name) {
+    return name.trim().toLowerCase();
+  }
+
+  // タグ名を辞書の正式名とバージョンに変換する
+  resolve(name) {
+    const trimmed = name.trim();
+    const canonical = this.lookupTable.get(this.toKey(trimmed));
+
+    if (canonical) {
+      return { name: canonical, versions: this.dictionary.tags[canonical].versions || [] };
+    }
+
+    // "Next.js 14" のような表記は、バージョンを除いた名前が辞書にあればバージョン付きのタグにする
+    const match = trimmed.match(TRAILING_VERSION_PATTERN);
+    const base = match ? this.lookupTable.get(this.toKey(match[1])) : null;
+    if (base) {
+      return { name: base, versions: [match[2]] };
+    }
+
+    return { name: trimmed, versions: [] };
+  }
+
+  getPriority(name) {
+    return this.dictionary.tags[name]?.priority || 0;
+  }
+
+  // カテゴリ（参照フィールドのID・名前）に応じて必ず付けるタグ
+  getRequiredTags(categoryKeys) {
+    return categoryKeys.flatMap(key => this.dictionary.required[key] || []);
+  }
+
+  // 戻り値: { tags: [{ name, versions }], warnings: [...] }
+  normalize(tagNames = [], options = {}) {
+    const { categoryKeys = [] } = options;
+    const warnings = [];
+    const banned = new Set(this.dictionary.banned.map(name => this.toKey(name)));
+    const tags = new Map();
+
+    const add = (rawName, required) => {
+      if (typeof rawName !== 'string' || !rawName.trim()) {
+        return;
+      }
+
+      const tag = this.resolve(rawName);
+
+      if (banned.has(this.toKey(tag.name)) || banned.has(this.toKey(rawName))) {
+        warnings.push(`Tag "${rawName}" is banned and was removed`);
+        return;
+      }
+
+      if (TAG_SEPARATOR_PATTERN.test(tag.name)) {
+        warnings.push(`Tag "${tag.name}" contains a comma and was removed (add an alias to the tag dictionary)`);
+        return;
+      }
+
+      // "Machine Learning" のような空白を含むタグ名はハイフンでつなぐ
+      const hyphenated = tag.name.replace(TAG_WHITESPACE_PATTERN, '-');
+      if (hyphenated !== tag.name) {
+        warnings.push(`Tag "${tag.name}" contains whitespace and was renamed to "${hyphenated}" (add an alias to the tag dictionary)`);
+        tag.name = hyphenated;
+      }
+
+      const key = this.toKey(tag.name);
+
+      if (tag.name.length > QIITA_MAX_TAG_LENGTH) {
+        warnings.push(`Tag "${tag.name}" is longer than ${QIITA_MAX_TAG_LENGTH} characters and was removed (add an alias to the tag dictionary)`);
+        return;
+      }
+
+      const existing = tags.get(key);
+      if (existing) {
+        existing.required = existing.required || required;
+        existing.versions = [...new Set([...existing.versions, ...tag.versions])];
+        return;
+      }
+
+      tags.set(key, { ...tag, required, order: tags.size });
+    };
+
+    this.getRequiredTags(categoryKeys).forEach(name => add(name, true));
+    tagNames.forEach(name => add(name, false));
+
+    if (tags.size === 0) {
+      this.dictionary.defaultTags.forEach(name => add(name, false));
+      warnings.push(tags.size > 0
+        ? `No tags found, using default tags: ${[...tags.values()].map(tag => tag.name).join(', ')}`
+        : 'No tags found and no default tags are configured');
+    }
+
+    // 必須タグ → 優先度の高い順 → 元の順序で並べ、上限を超えた分は警告して外す
+    const sorted = [...tags.values()].sort((a, b) =>
+      (b.required - a.required) ||
+      (this.getPriority(b.name) - this.getPriority(a.name)) ||
+      (a.order - b.order)
+    );
+
+    const kept = sorted.slice(0, this.dictionary.maxTags);
+    const dropped = sorted.slice(this.dictionary.maxTags);
+    if (dropped.length > 0) {
+      warnings.push(`Qiita allows up to ${this.dictionary.maxTags} tags, dropped: ${dropped.map(tag => tag.name).join(', ')}`);
+    }
+
+    return {
+      // バージョンがないタグは従来どおり { name } だけにする（contentHash を変えないため）
+      tags: kept.map(tag => (tag.versions.length > 0 ? { name: tag.name, versions: tag.versions } : { name: tag.name })),
+      warnings
+    };
+  }
+}
+
+module.exports = TagNormalizer;
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// テンプレートの設定ファイル（テンプレートディレクトリ直下）
+const TEMPLATE_CONFIG_FILE = 'templates.json';
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', '..', 'templates');
+const TEMPLATE_NAMES = ['header', 'footer'];
+
+// 記事の前後に付けるヘッダー・フッターのテンプレートを描画する
+//
+// テンプレートでは次の記法が使える
+// - {{title}} / {{originalUrl}} / {{fields.customField}} など: 値の埋め込み
+// - {{#originalUrl}}...{{/originalUrl}}: 値がある場合のみ出力
+// - {{^originalUrl}}...{{/originalUrl}}: 値がない場合のみ出力
+class TemplateRenderer {
+  constructor(options = {}) {
+    this.templateDir = options.templateDir || DEFAULT_TEMPLATE_DIR;
+    this.config = this.loadConfig();
+  }
+
+  loadConfig() {
+    const configPath = path.join(this.templateDir, TEMPLATE_CONFIG_FILE);
+
+    if (!fs.existsSync(configPath)) {
+      // 設定ファイルがない場合は header.md / footer.md があれば使う
+      return {
+        header: 'header.md',
+        footer: 'footer.md',
+        categories: {}
+      };
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const validate = (entry, label) => TEMPLATE_NAMES.forEach(name => {
+      if (entry[name] !== undefined && entry[name] !== false && typeof entry[name] !== 'string') {
+        throw new Error(`${configPath}: "${label}${name}" must be a file name or false`);
+      }
+    });
+
+    validate(config, '');
+    Object.entries(config.categories || {}).forEach(([category, entry]) => {
+      validate(entry, `categories.${category}.`);
+    });
+
+    return { categories: {}, ...config };
+  }
+
+  // カテゴリ別の設定があればそちらを優先してテンプレートのファイル名を決める
+  resolveTemplateFile(name, categoryKeys = []) {
+    for (const key of categoryKeys) {
+      const override = this.config.categories[key];
+      if (override && override[name] !== undefined) {
+        return override[name];
+      }
+    }
+
+    return this.config[name];
+  }
+
+  render(name, context = {}) {
+    const file = this.resolveTemplateFile(name, context.categoryKeys);
+
+    // false を指定したテンプレートは出力しない
+    if (!file) {
+      return '';
+    }
+
+    const templatePath = path.join(this.templateDir, file);
+    if (!fs.existsSync(templatePath)) {
+      return '';
+    }
+
+    const template = fs.readFileSync(templatePath, 'utf8');
+    return this.renderString(template, context).trim();
+  }
+
+  renderString(template, context) {
+    const rendered = template.replace(
+      /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g,
+      (match, type, key, inner) => {
+        const isPresent = this.isPresent(this.lookup(context, key));
+        return (type === '#') === isPresent ? this.renderString(inner, context) : '';
+      }
+    );
+
+    return rendered.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => this.formatValue(this.lookup(context, key)));
+  }
+
+  // "fields.xxx" のようなドット区切りのキーを辿る。見つからない場合はmicroCMSの独自フィールドも探す
+  lookup(context, key) {
+    const resolve = (source, keyPath) => keyPath.split('.').reduce(
+      (value, part) => (value !== null && value !== undefined ? value[part] : undefined),
+      source
+    );
+
+    const value = resolve(context, key);
+    return value !== undefined ? value : resolve(context.fields || {}, key);
+  }
+
+  isPresent(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+
+    return value !== null && value !== undefined && value !== '' && value !== false;
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.formatValue(item)).filter(Boolean).join(', ');
+    }
+
+    // カテゴリなどの参照フィールドは名前を使う
+    if (typeof value === 'object') {
+      return value.name || value.title || value.id || '';
+    }
+
+    return String(value);
+  }
+}
+
+module.exports = TemplateRenderer;
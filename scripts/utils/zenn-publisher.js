@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Publisher, convertQiitaMarkdown, toSimpleTagNames } = require('./publisher');
+const { rewriteCodeBlockInfo } = require('./code-block-rules');
+
+// Zennのスラッグ（記事のファイル名）は a-z0-9・ハイフン・アンダースコアの12〜50文字
+const SLUG_PATTERN = /^[a-z0-9_-]{12,50}$/;
+const ZENN_MAX_TOPICS = 5;
+const ZENN_TYPES = ['tech', 'idea'];
+const NOTE_TYPES = {
+  info: 'message',
+  warn: 'message',
+  alert: 'message alert'
+};
+
+// GitHub連携したZennのリポジトリ（ローカルのチェックアウト）に articles/<slug>.md を書き出す
+// コミット・プッシュは行わないため、GitHub Actions などで書き出した後にコミットする
+class ZennPublisher extends Publisher {
+  constructor(options = {}) {
+    super('zenn', 'Zenn');
+
+    if (!options.repoPath) {
+      throw new Error('ZENN_REPO_PATH is required for the zenn destination');
+    }
+
+    this.articlesDir = path.join(options.repoPath, 'articles');
+    this.emoji = options.emoji || '📝';
+    this.type = options.type || 'tech';
+
+    if (!ZENN_TYPES.includes(this.type)) {
+      throw new Error(`Invalid Zenn article type "${this.type}" (expected one of ${ZENN_TYPES.join(', ')})`);
+    }
+  }
+
+  // 同期履歴のキーからスラッグを決める（使えない文字や長さの場合はハッシュで補う）
+  toSlug(articleId) {
+    const slug = articleId.toLowerCase().replace(/[^a-z0-9_-]/g, '-');
+    if (SLUG_PATTERN.test(slug)) {
+      return slug;
+    }
+
+    const hash = crypto.createHash('sha256').update(articleId).digest('hex').slice(0, 12);
+    return `${slug.slice(0, 37).replace(/-+$/, '')}-${hash}`.replace(/^-/, '');
+  }
+
+  render(payload) {
+    // ノートは :::message、折りたたみは :::details、差分のハイライトは "diff 言語" にする
+    const body = rewriteCodeBlockInfo(convertQiitaMarkdown(payload.body, {
+      note: (type, content) => `:::${NOTE_TYPES[type]}\n${content}\n:::`,
+      details: (summary, content) => `:::details ${summary.replace(/\s+/g, ' ').trim()}\n${content}\n:::`,
+      codepen: url => `@[codepen](${url})`
+    }), ({ language, filename }) => {
+      const zennLanguage = language.startsWith('diff_') ? `diff ${language.slice('diff_'.length)}` : language;
+      return filename ? `${zennLanguage}:${filename}` : zennLanguage;
+    });
+
+    return {
+      title: payload.title,
+      emoji: this.emoji,
+      type: this.type,
+      topics: toSimpleTagNames(payload.tags, ZENN_MAX_TOPICS),
+      published: !payload.private,
+      body: body
+    };
+  }
+
+  preview(rendered) {
+    return this.formatFile(rendered);
+  }
+
+  formatFile(rendered) {
+    // JSONの文字列はYAMLのダブルクォート文字列としても読める
+    return [
+      '---',
+      `title: ${JSON.stringify(rendered.title)}`,
+      `emoji: ${JSON.stringify(rendered.emoji)}`,
+      `type: ${JSON.stringify(rendered.type)}`,
+      `topics: ${JSON.stringify(rendered.topics)}`,
+      `published: ${rendered.published}`,
+      '---',
+      '',
+      rendered.body,
+      ''
+    ].join('\n');
+  }
+
+  getFilePath(slug) {
+    return path.join(this.articlesDir, `${slug}.md`);
+  }
+
+  async create(rendered, article) {
+    return this.update(this.toSlug(article.id), rendered);
+  }
+
+  async update(slug, rendered) {
+    fs.mkdirSync(this.articlesDir, { recursive: true });
+    fs.writeFileSync(this.getFilePath(slug), this.formatFile(rendered));
+
+    return { id: slug, url: null };
+  }
+
+  async unpublish(slug) {
+    const filePath = this.getFilePath(slug);
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    fs.writeFileSync(filePath, content.replace(/^published: true$/m, 'published: false'));
+  }
+
+  async remove(slug) {
+    fs.rmSync(this.getFilePath(slug), { force: true });
+    return { removed: true };
+  }
+}
+
+module.exports = ZennPublisher;
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const http = require('http');
+const MicroCMSQiitaSync = require('./sync-microcms-to-qiita');
+const { logger } = require('./utils/logger');
+const { categorizeError, describeError } = require('./utils/sync-report');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_WEBHOOK_PATH = '/webhook';
+// 同じコンテンツの保存が続いた場合、最後の保存からこの時間待ってから同期する
+const DEFAULT_DEBOUNCE_MS = 5000;
+// リッチエディタの本文を含むため余裕を持たせる
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// microCMSのWebhookを受け取り、変更されたコンテンツだけをQiitaに同期するサーバー
+//
+// - X-MICROCMS-Signature（リクエスト本文のHMAC-SHA256）を検証する
+// - すぐに 202 を返し、同期はプロセス内のキューで1件ずつ実行する
+// - 短時間に続いた保存はコンテンツごとにまとめ、最後の内容だけを同期する
+class WebhookServer {
+  constructor(options = {}) {
+    this.sync = options.sync;
+    this.secret = options.secret;
+    this.path = options.path || DEFAULT_WEBHOOK_PATH;
+    this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.syncOptions = options.syncOptions || {};
+    this.maxBodyBytes = options.maxBodyBytes ?? MAX_BODY_BYTES;
+    this.timers = new Map();
+    this.pending = new Map();
+    this.queue = Promise.resolve();
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    if (!this.secret) {
+      throw new Error('Missing required environment variable: MICROCMS_WEBHOOK_SECRET');
+    }
+  }
+
+  listen(port = DEFAULT_PORT) {
+    return new Promise(resolve => {
+      this.server.listen(port, () => resolve(this.server.address()));
+    });
+  }
+
+  // 受付を止め、待機中・実行中の同期が終わるまで待つ
+  async close() {
+    await new Promise(resolve => this.server.close(resolve));
+
+    for (const [key, timer] of this.timers) {
+      clearTimeout(timer);
+      this.enqueue(key);
+    }
+    this.timers.clear();
+
+    await this.queue;
+  }
+
+  async handleRequest(req, res) {
+    if (req.method === 'GET' && req.url === '/health') {
+      return this.respond(res, 200, { status: 'ok', pending: this.pending.size });
+    }
+
+    if (req.method !== 'POST' || req.url.split('?')[0] !== this.path) {
+      return this.respond(res, 404, { error: 'Not found' });
+    }
+
+    let rawBody;
+    try {
+      rawBody = await this.readBody(req);
+    } catch (error) {
+      // 読み残した本文があるため、レスポンスを返した後に接続を閉じる
+      return this.respond(res, 413, { error: error.message }, { 'Connection': 'close' });
+    }
+
+    if (!this.verifySignature(rawBody, req.headers['x-microcms-signature'])) {
+      logger.warn('🚫 Rejected webhook with an invalid signature');
+      return this.respond(res, 401, { error: 'Invalid signature' });
+    }
+
+    let event;
+    try {
+      event = this.parseEvent(JSON.parse(rawBody.toString('utf8')));
+    } catch (error) {
+      return this.respond(res, 400, { error: `Invalid payload: ${error.message}` });
+    }
+
+    logger.info(`📨 Webhook received: ${event.type} ${event.api}/${event.id}`, { event: event.type, endpoint: event.api, contentId: event.id });
+    this.schedule(event);
+    return this.respond(res, 202, { status: 'accepted' });
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxBodyBytes) {
+          // 接続ごと破棄すると 413 を返せないため、読み込みだけを止める
+          req.removeAllListeners('data');
+          req.pause();
+          reject(new Error('Payload too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  verifySignature(rawBody, signature) {
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(signature, 'hex'));
+  }
+
+  // microCMSのWebhookの本文から、同期に必要な情報を取り出す
+  // contents.new.publishValue が公開中の内容。非公開・削除の場合は content を null にする
+  parseEvent(body) {
+    if (!body || typeof body.api !== 'string' || typeof body.id !== 'string') {
+      throw new Error('"api" and "id" are required');
+    }
+
+    const next = body.contents?.new;
+    const isPublished = body.type !== 'delete' &&
+      Boolean(next?.publishValue) &&
+      (next.status || []).includes('PUBLISH');
+
+    return {
+      api: body.api,
+      id: body.id,
+      type: body.type === 'delete' ? 'delete' : (isPublished ? body.type : 'unpublish'),
+      content: isPublished ? next.publishValue : null,
+      title: (next?.publishValue || body.contents?.old?.publishValue)?.title
+    };
+  }
+
+  // 同じコンテンツのイベントは最後の1件だけを残し、保存が落ち着いてからキューに入れる
+  schedule(event) {
+    const key = `${event.api}/${event.id}`;
+
+    this.pending.set(key, event);
+    clearTimeout(this.timers.get(key));
+    this.timers.set(key, setTimeout(() => {
+      this.timers.delete(key);
+      this.enqueue(key);
+    }, this.debounceMs));
+  }
+
+  enqueue(key) {
+    this.queue = this.queue.then(() => this.process(key));
+  }
+
+  async process(key) {
+    const event = this.pending.get(key);
+    if (!event) {
+      return;
+    }
+    this.pending.delete(key);
+
+    try {
+      logger.info(`🔄 Syncing ${event.type} ${key}${event.title ? ` (${event.title})` : ''}`, { event: event.type, endpoint: event.api, contentId: event.id });
+      const result = await this.sync.syncSingleContent(event.api, event.id, event.content, this.syncOptions);
+      logger.info(`✅ Finished ${key}: ${result.status}`, { endpoint: event.api, contentId: event.id, status: result.status });
+    } catch (error) {
+      // 失敗しても次回の定期実行で同期されるため、ここではログだけ残す
+      logger.error(`❌ Webhook sync failed for ${key}: ${describeError(error)}`, {
+        endpoint: event.api,
+        contentId: event.id,
+        errorCategory: categorizeError(error)
+      });
+    }
+  }
+
+  respond(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// スクリプトが直接実行された場合のみ実行
+if (require.main === module) {
+  const debounceMs = process.env.WEBHOOK_DEBOUNCE_MS ? parseInt(process.env.WEBHOOK_DEBOUNCE_MS, 10) : DEFAULT_DEBOUNCE_MS;
+  const port = process.env.WEBHOOK_PORT ? parseInt(process.env.WEBHOOK_PORT, 10) : DEFAULT_PORT;
+
+  try {
+    logger.configure({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
+    
+    const webhookServer = new WebhookServer({
+      sync: new MicroCMSQiitaSync(),
+      secret: process.env.MICROCMS_WEBHOOK_SECRET,
+      debounceMs,
+      syncOptions: {
+        orphanPolicy: process.env.ORPHAN_POLICY || 'report',
+        driftPolicy: process.env.DRIFT_POLICY || 'fail'
+      }
+    });
+
+    webhookServer.listen(port).then(address => {
+      logger.info(`🪝 Listening for microCMS webhooks on port ${address.port} (POST ${webhookServer.path})`);
+    });
+
+    const shutdown = () => {
+      logger.info('🛑 Shutting down, waiting for queued syncs...');
+      webhookServer.close().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+  } catch (error) {
+    logger.error(`❌ Failed to start webhook server: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = WebhookServer;
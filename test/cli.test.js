@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { FakeServer } = require('./helpers/fake-server');
+const { createWorkspace, loadFixture } = require('./helpers/workspace');
+
+const CLI_PATH = path.join(__dirname, '..', 'scripts', 'cli.js');
+
+// 偽サーバーを使う設定で CLI を別プロセスとして実行し、終了コードと出力を返す
+// （偽サーバーが応答できるよう、同期的な spawnSync ではなく非同期で待つ）
+function runCli(server, cwd, args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI_PATH, ...args], {
+      cwd: cwd,
+      env: { PATH: process.env.PATH, ...server.env },
+      timeout: 30 * 1000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+async function setup(t) {
+  const server = await new FakeServer().start();
+  t.after(() => server.stop());
+  server.setContents('articles', loadFixture('microcms', 'articles.json').contents);
+
+  return { server, cwd: createWorkspace(t) };
+}
+
+test('exits with 2 for an unknown command or invalid options', async t => {
+  const { server, cwd } = await setup(t);
+
+  const unknown = await runCli(server, cwd, ['publish']);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown command: publish/);
+
+  const invalid = await runCli(server, cwd, ['sync', '--yes', '--limit', '0']);
+  assert.equal(invalid.code, 2);
+  assert.match(invalid.stderr, /--limit must be a positive integer/);
+  assert.deepEqual(server.requests, []);
+});
+
+test('refuses to sync without --yes when there is no terminal to confirm', async t => {
+  const { server, cwd } = await setup(t);
+
+  const result = await runCli(server, cwd, ['sync']);
+
+  assert.equal(result.code, 2);
+  assert.deepEqual(server.requestsTo('qiita'), []);
+});
+
+test('syncs the selected article and reports the status of the others', async t => {
+  const { server, cwd } = await setup(t);
+
+  const sync = await runCli(server, cwd, ['sync', '--yes', '--only', 'nextjs-tips', '--log-format', 'json']);
+
+  assert.equal(sync.code, 0, sync.stderr);
+  assert.deepEqual(server.requestsTo('qiita', 'POST', '/items').map(request => request.body.title), ['Next.jsで記事一覧を作る']);
+  const history = JSON.parse(fs.readFileSync(path.join(cwd, 'sync-history.json'), 'utf8'));
+  assert.deepEqual(Object.keys(history.articles), ['nextjs-tips']);
+  // --only では差分取得の起点を進めない
+  assert.equal(history.lastSyncTime, null);
+
+  const status = await runCli(server, cwd, ['status', '--log-format', 'json']);
+
+  assert.equal(status.code, 0, status.stderr);
+  const rows = status.stdout.trim().split('\n').map(line => JSON.parse(line)).find(entry => entry.rows).rows;
+  assert.deepEqual(
+    Object.fromEntries(rows.map(row => [row.ID, row.State])),
+    { 'getting-started': 'new', 'nextjs-tips': 'up-to-date', 'chatgpt-api': 'new' }
+  );
+});
+
+test('diff exits with 1 when the article was edited on Qiita', async t => {
+  const { server, cwd } = await setup(t);
+  await runCli(server, cwd, ['sync', '--yes']);
+
+  const clean = await runCli(server, cwd, ['diff', 'getting-started']);
+  assert.equal(clean.code, 0, clean.stderr);
+
+  const item = server.items.get('fake0000000000000001');
+  server.items.set(item.id, { ...item, body: item.body + '\n\nQiitaで追記した段落' });
+  const edited = await runCli(server, cwd, ['diff', 'getting-started']);
+
+  assert.equal(edited.code, 1, edited.stderr);
+  assert.match(edited.stdout, /Qiitaで追記した段落/);
+});
+
+test('imports existing Qiita items so that the next sync updates them instead of posting again', async t => {
+  const { server, cwd } = await setup(t);
+  // 転載元URLのある記事・同じタイトルの手作業の投稿・関係のない記事
+  server.addItem({ id: 'manual00000000000001', title: 'microCMSとQiitaの同期を始める', body: '元記事: https://blog.example.com/articles/getting-started' });
+  server.addItem({ id: 'manual00000000000002', title: 'Next.js で記事一覧を作る', body: '手作業で投稿した本文' });
+  server.addItem({ id: 'manual00000000000003', title: 'Rustの所有権を理解する', body: '関係のない記事' });
+
+  const preview = await runCli(server, cwd, ['import', '--dry-run', '--log-format', 'json']);
+
+  assert.equal(preview.code, 0, preview.stderr);
+  const proposals = preview.stdout.trim().split('\n').map(line => JSON.parse(line)).find(entry => entry.proposals).proposals;
+  assert.deepEqual(proposals.map(({ articleId, qiitaId, selected }) => [articleId, qiitaId, selected]), [
+    ['getting-started', 'manual00000000000001', true],
+    ['nextjs-tips', 'manual00000000000002', true]
+  ]);
+  assert.deepEqual(proposals[0].reasons.slice(0, 1), ['url']);
+  assert.equal(fs.existsSync(path.join(cwd, 'sync-history.json')), false);
+
+  const imported = await runCli(server, cwd, ['import', '--yes']);
+
+  assert.equal(imported.code, 0, imported.stderr);
+  const history = JSON.parse(fs.readFileSync(path.join(cwd, 'sync-history.json'), 'utf8'));
+  assert.equal(history.articles['getting-started'].qiitaId, 'manual00000000000001');
+  assert.equal(history.articles['nextjs-tips'].qiitaId, 'manual00000000000002');
+  assert.ok(history.articles['nextjs-tips'].importedAt);
+
+  const sync = await runCli(server, cwd, ['sync', '--yes']);
+
+  assert.equal(sync.code, 0, sync.stderr);
+  assert.deepEqual(server.requestsTo('qiita', 'POST', '/items').map(request => request.body.title), ['ChatGPT APIで要約を作る']);
+});
+
+test('imports pairs from a mapping file and holds back low-confidence matches', async t => {
+  const { server, cwd } = await setup(t);
+  server.addItem({ id: 'manual00000000000001', title: 'ChatGPT APIで要約を作ってみた', body: '本文' });
+  server.addItem({ id: 'manual00000000000002', title: '全く別のタイトル', body: '本文' });
+  fs.writeFileSync(path.join(cwd, 'links.json'), JSON.stringify({ 'nextjs-tips': 'manual00000000000002' }));
+
+  const result = await runCli(server, cwd, ['import', '--yes', '--mapping', 'links.json', '--log-format', 'json']);
+
+  assert.equal(result.code, 0, result.stderr);
+  const proposals = result.stdout.trim().split('\n').map(line => JSON.parse(line)).find(entry => entry.proposals).proposals;
+  assert.deepEqual(proposals.map(({ articleId, confidence, selected }) => [articleId, confidence === 1, selected]), [
+    ['nextjs-tips', true, true],
+    ['chatgpt-api', false, false]
+  ]);
+  const history = JSON.parse(fs.readFileSync(path.join(cwd, 'sync-history.json'), 'utf8'));
+  assert.deepEqual(Object.keys(history.articles), ['nextjs-tips']);
+  assert.deepEqual(history.articles['nextjs-tips'].importMatch.reasons, ['mapping']);
+
+  const invalid = await runCli(server, cwd, ['import', '--yes', '--min-confidence', '2']);
+  assert.equal(invalid.code, 2);
+});
+
+test('reorders and postpones articles in the publish queue', async t => {
+  const { server, cwd } = await setup(t);
+  const queueServer = { env: { ...server.env, PUBLISH_DAILY_LIMIT: '1' } };
+  await runCli(queueServer, cwd, ['sync', '--yes']);
+
+  const moved = await runCli(queueServer, cwd, ['queue', 'move', 'chatgpt-api', '1']);
+  assert.equal(moved.code, 0, moved.stderr);
+  const postponed = await runCli(queueServer, cwd, ['queue', 'postpone', 'nextjs-tips', '3d']);
+  assert.equal(postponed.code, 0, postponed.stderr);
+
+  const list = await runCli(queueServer, cwd, ['queue', '--log-format', 'json']);
+
+  assert.equal(list.code, 0, list.stderr);
+  const entries = list.stdout.trim().split('\n').map(line => JSON.parse(line)).find(entry => entry.queue).queue;
+  assert.deepEqual(entries.map(entry => entry.articleId), ['chatgpt-api', 'nextjs-tips']);
+  assert.ok(entries[1].notBefore > new Date().toISOString());
+
+  const unknown = await runCli(queueServer, cwd, ['queue', 'move', 'getting-started', '1']);
+  assert.equal(unknown.code, 1);
+  assert.match(unknown.stderr, /getting-started is not in the publish queue/);
+  assert.equal((await runCli(queueServer, cwd, ['queue', 'shuffle'])).code, 2);
+});
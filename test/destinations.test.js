@@ -0,0 +1,206 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MicroCMSQiitaSync = require('../scripts/sync-microcms-to-qiita');
+const ZennPublisher = require('../scripts/utils/zenn-publisher');
+const DevToPublisher = require('../scripts/utils/devto-publisher');
+const { FakeServer } = require('./helpers/fake-server');
+const { createWorkspace, loadFixture, captureLogs } = require('./helpers/workspace');
+
+captureLogs({ level: 'quiet' });
+
+const QIITA_BODY = [
+  ':::note warn',
+  '本番環境では実行しないでください。',
+  ':::',
+  '',
+  '<details><summary>詳細</summary>',
+  '',
+  '折りたたまれた本文',
+  '',
+  '</details>',
+  '',
+  'https://www.youtube.com/watch?v=abc123',
+  '',
+  '```javascript:scripts/sync.js',
+  'https://example.com/not-an-embed',
+  '```',
+  '',
+  '```diff_javascript',
+  '- const a = 1;',
+  '+ const a = 2;',
+  '```'
+].join('\n');
+
+const PAYLOAD = {
+  title: '記事のタイトル',
+  body: QIITA_BODY,
+  tags: [{ name: 'Next.js', versions: [] }, { name: 'TypeScript', versions: [] }, { name: '生成AI', versions: [] }],
+  private: false
+};
+
+async function setup(t, destinations) {
+  const server = await new FakeServer().start();
+  t.after(() => server.stop());
+  server.setContents('articles', loadFixture('microcms', 'articles.json').contents);
+
+  const cwd = createWorkspace(t);
+  const env = { ...server.env, SYNC_DESTINATIONS: destinations, ZENN_REPO_PATH: 'zenn' };
+  const createSync = () => new MicroCMSQiitaSync({ env, cwd });
+
+  return { server, cwd, createSync };
+}
+
+function readHistory(cwd) {
+  return JSON.parse(fs.readFileSync(path.join(cwd, 'sync-history.json'), 'utf8'));
+}
+
+test('renders Zenn front matter and Zenn markdown', t => {
+  const publisher = new ZennPublisher({ repoPath: createWorkspace(t) });
+  const rendered = publisher.render(PAYLOAD, { id: 'abc' });
+
+  assert.deepEqual(rendered.topics, ['nextjs', 'typescript', 'ai']);
+  assert.equal(rendered.published, true);
+  assert.match(rendered.body, /^:::message\n本番環境では実行しないでください。\n:::/);
+  assert.match(rendered.body, /:::details 詳細\n折りたたまれた本文\n:::/);
+  assert.match(rendered.body, /```javascript:scripts\/sync\.js\n/);
+  assert.match(rendered.body, /```diff javascript\n- const a = 1;/);
+  assert.match(publisher.preview(rendered), /^---\ntitle: "記事のタイトル"\nemoji: "📝"\ntype: "tech"\ntopics: \["nextjs","typescript","ai"\]\npublished: true\n---\n/);
+});
+
+test('derives a valid Zenn slug from any history key', t => {
+  const publisher = new ZennPublisher({ repoPath: createWorkspace(t) });
+
+  assert.equal(publisher.toSlug('getting-started'), 'getting-started');
+  assert.match(publisher.toSlug('abc'), /^abc-[0-9a-f]{12}$/);
+  assert.equal(publisher.toSlug('News.Hello World'), 'news-hello-world');
+  assert.match(publisher.toSlug('日本語の記事'), /^[0-9a-f]{12}$/);
+  assert.ok(publisher.toSlug('x'.repeat(80)).length <= 50);
+});
+
+test('renders dev.to liquid tags and moves code file names out of the fence', () => {
+  const publisher = new DevToPublisher({ apiKey: 'key' });
+  const rendered = publisher.render(PAYLOAD, { originalUrl: 'https://blog.example.com/articles/abc' });
+
+  assert.deepEqual(rendered.tags, ['nextjs', 'typescript', 'ai']);
+  assert.equal(rendered.canonical_url, 'https://blog.example.com/articles/abc');
+  assert.match(rendered.body_markdown, /^> ⚠️ 本番環境では実行しないでください。/);
+  assert.match(rendered.body_markdown, /{% details 詳細 %}\n折りたたまれた本文\n{% enddetails %}/);
+  assert.match(rendered.body_markdown, /{% embed https:\/\/www\.youtube\.com\/watch\?v=abc123 %}/);
+  assert.match(rendered.body_markdown, /`scripts\/sync\.js`\n\n```javascript\nhttps:\/\/example\.com\/not-an-embed\n```/);
+  assert.match(rendered.body_markdown, /```diff\n- const a = 1;/);
+});
+
+test('rejects unknown destinations and missing destination settings', t => {
+  const env = { MICROCMS_DOMAIN: 'example', MICROCMS_API_KEY: 'key', QIITA_ACCESS_TOKEN: 'token' };
+  const cwd = createWorkspace(t);
+
+  assert.throws(() => new MicroCMSQiitaSync({ env: { ...env, SYNC_DESTINATIONS: 'note' }, cwd }), /Unknown destination in SYNC_DESTINATIONS: note/);
+  // 投稿先の設定は投稿するときだけ必要になる（status・diff などでは作らない）
+  const sync = new MicroCMSQiitaSync({ env: { ...env, SYNC_DESTINATIONS: 'devto,zenn' }, cwd });
+  assert.throws(() => sync.prepareDestinations(), /DEVTO_API_KEY is required/);
+  assert.equal(new MicroCMSQiitaSync({ env: { ...env, SYNC_DESTINATIONS: 'qiita' }, cwd }).destinations.length, 0);
+});
+
+test('publishes each article to Qiita, Zenn and dev.to and records an ID per destination', async t => {
+  const { server, cwd, createSync } = await setup(t, 'zenn,devto');
+
+  const result = await createSync().syncArticles();
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(server.items.size, 3);
+  assert.equal(server.devtoArticles.size, 3);
+  const zennFile = fs.readFileSync(path.join(cwd, 'zenn', 'articles', 'getting-started.md'), 'utf8');
+  assert.match(zennFile, /^---\ntitle: "microCMSとQiitaの同期をはじめる"\n/);
+
+  const entry = readHistory(cwd).articles['getting-started'];
+  assert.equal(entry.qiitaId, 'fake0000000000000001');
+  assert.equal(entry.destinations.zenn.id, 'getting-started');
+  assert.equal(entry.destinations.devto.id, 1);
+  assert.equal(entry.destinations.devto.url, 'https://dev.to/example/article-1');
+
+  const report = JSON.parse(fs.readFileSync(path.join(cwd, 'sync-report.json'), 'utf8'));
+  assert.deepEqual(report.articles[0].destinations, {
+    zenn: { action: 'create', id: 'getting-started' },
+    devto: { action: 'create', id: 1 }
+  });
+
+  // 変更がなければどの投稿先にも送らない
+  const requestCount = server.requests.length;
+  assert.equal((await createSync().syncArticles()).exitCode, 0);
+  assert.deepEqual(server.requests.slice(requestCount).filter(request => request.method !== 'GET'), []);
+});
+
+test('retries a failed destination without resending to Qiita', async t => {
+  const { server, cwd, createSync } = await setup(t, 'devto');
+  server.fail({ service: 'devto', method: 'POST', path: '/articles', status: 422, body: { error: 'Tag is invalid' }, times: 1 });
+
+  const result = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(result.exitCode, 1);
+  const history = readHistory(cwd);
+  assert.equal(history.articles['getting-started'].destinations, undefined);
+  assert.ok(history.articles['getting-started'].qiitaId);
+  assert.equal(history.lastSyncTime, null);
+  const report = JSON.parse(fs.readFileSync(path.join(cwd, 'sync-report.json'), 'utf8'));
+  assert.equal(report.articles[0].errorCategory, 'rejected');
+  assert.match(report.articles[0].error, /^devto: HTTP 422/);
+
+  const postCount = server.requestsTo('qiita', 'POST').length;
+  const retry = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(retry.exitCode, 0);
+  assert.equal(server.requestsTo('qiita', 'POST').length, postCount);
+  assert.equal(server.devtoArticles.size, 3);
+  assert.ok(readHistory(cwd).articles['getting-started'].destinations.devto.id);
+});
+
+test('unpublishes destinations along with Qiita for orphaned articles', async t => {
+  const { server, cwd, createSync } = await setup(t, 'zenn,devto');
+  await createSync().syncArticles();
+
+  server.contents.articles = server.contents.articles.filter(content => content.id !== 'nextjs-tips');
+  const result = await createSync().syncArticles({ orphanPolicy: 'delete' });
+
+  assert.equal(result.exitCode, 0);
+  const entry = readHistory(cwd).articles['nextjs-tips'];
+  assert.equal(entry.orphanAction, 'deleted');
+  assert.equal(fs.existsSync(path.join(cwd, 'zenn', 'articles', 'nextjs-tips.md')), false);
+  assert.equal(entry.destinations.zenn, undefined);
+  // dev.to は記事を削除できないため非公開にする
+  assert.equal(server.devtoArticles.get(entry.destinations.devto.id).published, false);
+});
+
+test('checks destination settings before posting anything to Qiita', async t => {
+  const { server, cwd } = await setup(t, 'devto');
+  const env = { ...server.env, SYNC_DESTINATIONS: 'devto', DEVTO_API_KEY: '' };
+
+  const result = await new MicroCMSQiitaSync({ env, cwd }).syncArticles();
+
+  assert.equal(result.exitCode, 1);
+  assert.equal(server.requestsTo('qiita', 'POST').length, 0);
+});
+
+test('retries dev.to requests on 429 and server errors but not a failed create', async t => {
+  const server = await new FakeServer().start();
+  t.after(() => server.stop());
+  const publisher = new DevToPublisher({
+    apiKey: server.env.DEVTO_API_KEY,
+    baseURL: server.env.DEVTO_API_BASE_URL,
+    baseDelayMs: 0
+  });
+  const rendered = { title: 'a', body_markdown: 'body', tags: [], published: true };
+
+  server.fail({ service: 'devto', method: 'POST', path: '/articles', status: 429, body: { error: 'Rate limit reached' }, times: 1 });
+  const created = await publisher.create(rendered);
+  assert.equal(server.requestsTo('devto', 'POST').length, 2);
+
+  server.fail({ service: 'devto', method: 'PUT', status: 503, times: 2 });
+  await publisher.update(created.id, rendered);
+  assert.equal(server.requestsTo('devto', 'PUT').length, 3);
+
+  server.fail({ service: 'devto', method: 'POST', path: '/articles', status: 502, times: 1 });
+  await assert.rejects(publisher.create(rendered), /status code 502/);
+  assert.equal(server.requestsTo('devto', 'POST').length, 3);
+});
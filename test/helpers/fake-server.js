@@ -0,0 +1,279 @@
+const http = require('http');
+const path = require('path');
+
+const QIITA_ITEM_FIXTURE = require(path.join(__dirname, '..', 'fixtures', 'qiita', 'item.json'));
+
+const MICROCMS_API_KEY = 'test-microcms-key';
+const QIITA_ACCESS_TOKEN = 'test-qiita-token';
+const DEVTO_API_KEY = 'test-devto-key';
+// 記事間で待機しないよう、残りリクエスト数には十分な値を返す
+const RATE_LIMIT = 1000;
+
+// microCMS・Qiita・dev.to のAPIを真似るローカルのHTTPサーバー
+//
+// - /microcms/api/v1/... : コンテンツの一覧・1件取得（filters の updatedAt[greater_than] / orders / fields に対応）
+// - /qiita/api/v2/...    : 記事の作成・取得・更新・削除と /authenticated_user、/authenticated_user/items
+// - /devto/api/...       : 記事の作成・更新
+// 受け取ったリクエストは requests に記録し、fail() で指定したリクエストはエラーを返す
+class FakeServer {
+  constructor() {
+    this.contents = {};
+    this.items = new Map();
+    this.devtoArticles = new Map();
+    this.requests = [];
+    this.failures = [];
+    this.nextItemNumber = 1;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseURL = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    // keep-alive の接続が残っていると close が終わらないため先に切断する
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // MicroCMSQiitaSync の options.env にそのまま渡せる設定
+  get env() {
+    return {
+      MICROCMS_DOMAIN: 'example',
+      MICROCMS_API_KEY: MICROCMS_API_KEY,
+      MICROCMS_API_BASE_URL: `${this.baseURL}/microcms/api/v1`,
+      QIITA_ACCESS_TOKEN: QIITA_ACCESS_TOKEN,
+      QIITA_API_BASE_URL: `${this.baseURL}/qiita/api/v2`,
+      DEVTO_API_KEY: DEVTO_API_KEY,
+      DEVTO_API_BASE_URL: `${this.baseURL}/devto/api`,
+      ORIGINAL_SITE_URL: 'https://blog.example.com'
+    };
+  }
+
+  setContents(endpoint, contents) {
+    this.contents[endpoint] = contents.map(content => ({ ...content }));
+  }
+
+  // 既にQiitaにある記事を登録する
+  addItem(item) {
+    const stored = { ...QIITA_ITEM_FIXTURE, ...item };
+    this.items.set(stored.id, stored);
+    return stored;
+  }
+
+  // 条件に合うリクエストに times 回までエラーを返す
+  // path は各APIのベースURLからのパス（'/items' など）の文字列か正規表現
+  fail({ service, method, path: pathPattern, status = 500, body = { message: 'Internal Server Error' }, times = Infinity }) {
+    this.failures.push({ service, method: method && method.toUpperCase(), pathPattern, status, body, remaining: times });
+  }
+
+  // 記録したリクエストを service / method / path で絞り込む
+  requestsTo(service, method, pathPattern) {
+    return this.requests.filter(request =>
+      request.service === service &&
+      (!method || request.method === method.toUpperCase()) &&
+      (!pathPattern || matchPath(pathPattern, request.path))
+    );
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.baseURL);
+    const match = url.pathname.match(/^\/(microcms)\/api\/v1(\/.*)$/) ||
+      url.pathname.match(/^\/(qiita)\/api\/v2(\/.*)$/) ||
+      url.pathname.match(/^\/(devto)\/api(\/.*)$/);
+    const rawBody = await readBody(req);
+    const request = {
+      service: match ? match[1] : null,
+      method: req.method,
+      path: match ? match[2] : url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: rawBody ? JSON.parse(rawBody) : null
+    };
+    this.requests.push(request);
+
+    const failure = this.failures.find(entry =>
+      entry.remaining > 0 &&
+      (!entry.service || entry.service === request.service) &&
+      (!entry.method || entry.method === request.method) &&
+      (!entry.pathPattern || matchPath(entry.pathPattern, request.path))
+    );
+    if (failure) {
+      failure.remaining--;
+      return send(res, failure.status, failure.body, this.rateHeaders(request));
+    }
+
+    if (request.service === 'microcms') {
+      return this.handleMicroCMS(request, res);
+    }
+    if (request.service === 'qiita') {
+      return this.handleQiita(request, res);
+    }
+    if (request.service === 'devto') {
+      return this.handleDevTo(request, res);
+    }
+
+    return send(res, 404, { message: 'Not Found' });
+  }
+
+  handleMicroCMS(request, res) {
+    if (request.headers['x-microcms-api-key'] !== MICROCMS_API_KEY) {
+      return send(res, 401, { message: 'X-MICROCMS-API-KEY header is invalid.' });
+    }
+
+    const [, endpoint, contentId] = request.path.split('/');
+    const contents = this.contents[endpoint];
+    if (!contents) {
+      return send(res, 404, { message: 'API not found.' });
+    }
+
+    const fields = request.query.fields ? request.query.fields.split(',') : null;
+    const pick = content => (fields
+      ? Object.fromEntries(Object.entries(content).filter(([key]) => fields.includes(key)))
+      : content);
+
+    if (contentId) {
+      const content = contents.find(entry => entry.id === decodeURIComponent(contentId));
+      return content ? send(res, 200, pick(content)) : send(res, 404, { message: 'Content is not found.' });
+    }
+
+    let list = [...contents];
+    const filter = (request.query.filters || '').match(/^updatedAt\[greater_than\](.+)$/);
+    if (filter) {
+      list = list.filter(content => new Date(content.updatedAt) > new Date(filter[1]));
+    }
+    if (request.query.orders === 'updatedAt') {
+      list.sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+    }
+
+    const offset = parseInt(request.query.offset, 10) || 0;
+    const limit = parseInt(request.query.limit, 10) || 10;
+    return send(res, 200, {
+      contents: list.slice(offset, offset + limit).map(pick),
+      totalCount: list.length,
+      offset: offset,
+      limit: limit
+    });
+  }
+
+  handleQiita(request, res) {
+    const headers = this.rateHeaders(request);
+
+    if (request.headers.authorization !== `Bearer ${QIITA_ACCESS_TOKEN}`) {
+      return send(res, 401, { message: 'Unauthorized', type: 'unauthorized' }, headers);
+    }
+
+    if (request.path === '/authenticated_user' && request.method === 'GET') {
+      return send(res, 200, { id: 'example', items_count: this.items.size }, headers);
+    }
+
+    if (request.path === '/authenticated_user/items' && request.method === 'GET') {
+      const page = parseInt(request.query.page, 10) || 1;
+      const perPage = parseInt(request.query.per_page, 10) || 20;
+      const items = [...this.items.values()].reverse();
+      return send(res, 200, items.slice((page - 1) * perPage, page * perPage), {
+        ...headers,
+        'Total-Count': String(items.length)
+      });
+    }
+
+    if (request.path === '/items' && request.method === 'POST') {
+      const id = `fake${String(this.nextItemNumber++).padStart(16, '0')}`;
+      const item = this.addItem({
+        ...request.body,
+        id: id,
+        url: `https://qiita.com/example/items/${id}`,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+      return send(res, 201, item, headers);
+    }
+
+    const itemMatch = request.path.match(/^\/items\/([\w-]+)$/);
+    const item = itemMatch && this.items.get(itemMatch[1]);
+    if (!item) {
+      return send(res, 404, { message: 'Not found', type: 'not_found' }, headers);
+    }
+
+    switch (request.method) {
+      case 'GET':
+        return send(res, 200, item, headers);
+      case 'PATCH': {
+        const updated = { ...item, ...request.body, updated_at: new Date().toISOString() };
+        this.items.set(item.id, updated);
+        return send(res, 200, updated, headers);
+      }
+      case 'DELETE':
+        this.items.delete(item.id);
+        return send(res, 204, null, headers);
+      default:
+        return send(res, 404, { message: 'Not found', type: 'not_found' }, headers);
+    }
+  }
+
+  handleDevTo(request, res) {
+    if (request.headers['api-key'] !== DEVTO_API_KEY) {
+      return send(res, 401, { error: 'unauthorized', status: 401 });
+    }
+
+    if (request.path === '/articles' && request.method === 'POST') {
+      const id = this.devtoArticles.size + 1;
+      const article = { ...request.body.article, id: id, url: `https://dev.to/example/article-${id}` };
+      this.devtoArticles.set(id, article);
+      return send(res, 201, article);
+    }
+
+    const articleMatch = request.path.match(/^\/articles\/(\d+)$/);
+    const article = articleMatch && this.devtoArticles.get(Number(articleMatch[1]));
+    if (!article || request.method !== 'PUT') {
+      return send(res, 404, { error: 'not found', status: 404 });
+    }
+
+    const updated = { ...article, ...request.body.article };
+    this.devtoArticles.set(article.id, updated);
+    return send(res, 200, updated);
+  }
+
+  rateHeaders(request) {
+    if (request.service !== 'qiita') {
+      return {};
+    }
+
+    const remaining = RATE_LIMIT - this.requestsTo('qiita').length;
+    return {
+      'Rate-Limit': String(RATE_LIMIT),
+      'Rate-Remaining': String(Math.max(0, remaining)),
+      'Rate-Reset': String(Math.floor(Date.now() / 1000) + 3600)
+    };
+  }
+}
+
+function matchPath(pattern, requestPath) {
+  return pattern instanceof RegExp ? pattern.test(requestPath) : pattern === requestPath;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    ...headers,
+    ...(body === null ? {} : { 'Content-Type': 'application/json; charset=utf-8' })
+  });
+  res.end(body === null ? undefined : JSON.stringify(body));
+}
+
+module.exports = {
+  FakeServer,
+  MICROCMS_API_KEY,
+  QIITA_ACCESS_TOKEN,
+  DEVTO_API_KEY
+};
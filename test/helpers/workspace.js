@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { logger } = require('../../scripts/utils/logger');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// 同期履歴・本文の控え・実行結果を書き出す一時ディレクトリ
+function createWorkspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-to-qiita-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function loadFixture(...segments) {
+  const filePath = path.join(FIXTURES_DIR, ...segments);
+  const content = fs.readFileSync(filePath, 'utf8');
+  return filePath.endsWith('.json') ? JSON.parse(content) : content;
+}
+
+// テストの出力にログが混ざらないよう、ロガーの出力先を差し替えて内容を返す
+function captureLogs(options = {}) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  logger.configure({ level: options.level || 'info', format: options.format || 'text', stdout: stream, stderr: stream });
+
+  return {
+    get output() {
+      return Buffer.concat(chunks).toString('utf8');
+    }
+  };
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  createWorkspace,
+  loadFixture,
+  captureLogs
+};
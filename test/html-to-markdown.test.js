@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const HtmlToMarkdownConverter = require('../scripts/utils/html-to-markdown');
+const { FIXTURES_DIR, captureLogs } = require('./helpers/workspace');
+
+// <名前>.html を変換した結果を <名前>.md と比較する
+// 変換ルールを意図して変えた場合は UPDATE_GOLDEN=1 npm test で期待値を書き直す
+const GOLDEN_DIR = path.join(FIXTURES_DIR, 'converter');
+
+captureLogs({ level: 'quiet' });
+
+function createConverter() {
+  return new HtmlToMarkdownConverter({
+    siteUrl: 'https://blog.example.com',
+    // ヘッダー・フッターのテンプレートを含まないディレクトリ
+    templateDir: GOLDEN_DIR,
+    image: { width: 800, format: 'webp' }
+  });
+}
+
+const cases = fs.readdirSync(GOLDEN_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map(file => path.basename(file, '.html'));
+
+for (const name of cases) {
+  test(`converts ${name}.html to the golden Markdown`, () => {
+    const html = fs.readFileSync(path.join(GOLDEN_DIR, `${name}.html`), 'utf8');
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.md`);
+    const markdown = createConverter().convert(html) + '\n';
+
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(goldenPath, markdown);
+    }
+
+    // 期待値がない場合に変換結果を書き出すと、自分自身との比較になり常に成功してしまう
+    assert.ok(fs.existsSync(goldenPath), `Missing ${name}.md: run UPDATE_GOLDEN=1 npm test to create it, then review it before committing`);
+    assert.equal(markdown, fs.readFileSync(goldenPath, 'utf8'));
+  });
+}
+
+test('adds the excerpt and the header and footer templates around the body', () => {
+  const converter = new HtmlToMarkdownConverter({ siteUrl: 'https://blog.example.com' });
+  const markdown = converter.convert('<p>本文</p>', {
+    excerpt: '<p>概要</p>',
+    originalUrl: 'https://blog.example.com/articles/hello',
+    originalTitle: 'こんにちは',
+    article: { publishedAt: '2024-01-10T09:00:00.000Z' }
+  });
+
+  assert.match(markdown, /^:::note info\nこの記事は \[こんにちは\]\(https:\/\/blog\.example\.com\/articles\/hello\) からの転載です（2024\/1\/10 公開）。\n:::/);
+  assert.ok(markdown.indexOf('概要') < markdown.indexOf('本文'));
+  assert.match(markdown, /## 🌟 お知らせ/);
+});
+
+test('keeps markdown body parts as they are', () => {
+  const markdown = createConverter().convertParts([
+    { type: 'html', content: '<p>HTMLの段落</p>' },
+    { type: 'markdown', content: '| a | b |\r\n| --- | --- |\r\n| 1 | 2 |\r\n' }
+  ]);
+
+  assert.equal(markdown, 'HTMLの段落\n\n| a | b |\n| --- | --- |\n| 1 | 2 |');
+});
+
+test('normalizes tags with the tag dictionary', () => {
+  const converter = createConverter();
+
+  assert.deepEqual(
+    converter.processTags(['ChatGPT活用', 'nextjs', 'TS']).map(tag => tag.name),
+    ['ChatGPT', 'Next.js', 'TypeScript']
+  );
+  assert.deepEqual(converter.processTags([]).map(tag => tag.name), ['AI']);
+  // 空白はハイフンでつなぎ、カンマを含むタグは外す
+  assert.deepEqual(
+    converter.processTags(['Machine Learning', 'a,b', 'Generative AI']).map(tag => tag.name),
+    ['生成AI', 'Machine-Learning']
+  );
+});
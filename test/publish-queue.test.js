@@ -0,0 +1,202 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MicroCMSQiitaSync = require('../scripts/sync-microcms-to-qiita');
+const PublishQueue = require('../scripts/utils/publish-queue');
+const { FakeServer } = require('./helpers/fake-server');
+const { createWorkspace, loadFixture, captureLogs } = require('./helpers/workspace');
+
+const logs = captureLogs({ level: 'quiet' });
+
+// 2024-01-31 10:30（日本時間）
+const NOW = new Date('2024-01-31T01:30:00Z');
+
+function createState(queue, ids) {
+  const state = queue.load({});
+  ids.forEach(([id, categoryKeys = []]) => queue.enqueue(state, { id, title: id }, categoryKeys, NOW));
+  return state;
+}
+
+async function setup(t, env = {}) {
+  const server = await new FakeServer().start();
+  t.after(() => server.stop());
+  server.setContents('articles', loadFixture('microcms', 'articles.json').contents);
+
+  const cwd = createWorkspace(t);
+  const createSync = () => new MicroCMSQiitaSync({ env: { ...server.env, PUBLISH_DAILY_LIMIT: '2', ...env }, cwd });
+
+  return { server, cwd, createSync };
+}
+
+function readHistory(cwd) {
+  return JSON.parse(fs.readFileSync(path.join(cwd, 'sync-history.json'), 'utf8'));
+}
+
+test('orders new articles by category priority and keeps the order within a priority', () => {
+  const queue = new PublishQueue({ dailyLimit: 2, categoryPriority: 'news:10,column:-1' });
+  const state = createState(queue, [['a'], ['b', ['column']], ['c', ['news']], ['d'], ['e', ['news']]]);
+
+  assert.deepEqual(state.entries.map(entry => entry.articleId), ['c', 'e', 'a', 'd', 'b']);
+  assert.equal(queue.enqueue(state, { id: 'a', title: 'a' }, [], NOW), false);
+});
+
+test('publishes up to the daily limit inside the time windows only', () => {
+  const queue = new PublishQueue({ dailyLimit: 2, windows: '09:00-12:00,18:00-21:00' });
+  const state = createState(queue, [['a'], ['b'], ['c']]);
+
+  assert.deepEqual(queue.due(state, NOW).map(entry => entry.articleId), ['a', 'b']);
+  assert.deepEqual(queue.due(state, new Date('2024-01-31T05:00:00Z')), []);
+
+  queue.markPublished(state, 'a', NOW);
+  assert.deepEqual(queue.due(state, NOW).map(entry => entry.articleId), ['b']);
+  queue.markPublished(state, 'b', NOW);
+  assert.deepEqual(queue.due(state, NOW), []);
+  assert.deepEqual(state.published, { '2024-01-31': ['a', 'b'] });
+
+  // 日本時間の翌日（UTC では同じ日）になれば上限が戻る
+  assert.deepEqual(queue.due(state, new Date('2024-02-01T00:30:00Z')).map(entry => entry.articleId), ['c']);
+});
+
+test('estimates publish dates and skips postponed articles until they are due', () => {
+  const queue = new PublishQueue({ dailyLimit: 1 });
+  const state = createState(queue, [['a'], ['b'], ['c']]);
+
+  queue.postpone(state, 'a', '2024-02-05T00:00:00+09:00');
+  queue.move(state, 'c', 1);
+
+  assert.deepEqual(queue.due(state, NOW).map(entry => entry.articleId), ['c']);
+  assert.deepEqual(queue.schedule(state, NOW).map(({ articleId, position, estimatedDate }) => [articleId, position, estimatedDate]), [
+    ['c', 1, '2024-01-31'],
+    ['a', 2, '2024-02-05'],
+    ['b', 3, '2024-02-01']
+  ]);
+  assert.throws(() => queue.move(state, 'x', 1), /x is not in the publish queue/);
+});
+
+test('moves failed articles to the end of the queue and retries them later', () => {
+  const queue = new PublishQueue({ dailyLimit: 1 });
+  const state = createState(queue, [['a'], ['b'], ['c']]);
+
+  queue.markFailed(state, 'a', NOW);
+  assert.deepEqual(state.entries.map(entry => entry.articleId), ['b', 'c', 'a']);
+  assert.deepEqual(queue.due(state, NOW).map(entry => entry.articleId), ['b']);
+  assert.equal(queue.find(state, 'a').notBefore, '2024-01-31T07:30:00.000Z');
+
+  // 失敗するたびに再試行までの時間を延ばす
+  queue.markFailed(state, 'a', NOW);
+  assert.equal(queue.find(state, 'a').failures, 2);
+  assert.equal(queue.find(state, 'a').notBefore, '2024-01-31T13:30:00.000Z');
+});
+
+test('finds cron schedules that never run inside the time windows', () => {
+  const queue = new PublishQueue({ dailyLimit: 1, windows: '09:00-12:00' });
+
+  // UTC 0:00 は日本時間 9:00、UTC 3:00 は 12:00（時間帯の終わりは含まない）
+  assert.deepEqual(queue.findSchedulesOutsideWindows(['0 0 * * *', '0 3 * * *', '*/30 * * * *', '0 15 * * 1-5'], NOW), ['0 3 * * *', '0 15 * * 1-5']);
+  assert.deepEqual(new PublishQueue({ dailyLimit: 1 }).findSchedulesOutsideWindows(['0 3 * * *'], NOW), []);
+});
+
+test('reads the cron schedules from the sync workflow', () => {
+  const queue = new PublishQueue({ dailyLimit: 1, windows: '09:00-12:00', cwd: path.join(__dirname, '..') });
+
+  // リポジトリのワークフロー（UTC 0:00 = 日本時間 9:00）
+  assert.deepEqual(queue.findWorkflowSchedulesOutsideWindows(NOW), { crons: ['0 0 * * *'], outside: [] });
+  assert.deepEqual(queue.parseWorkflowSchedules([
+    'on:',
+    '  schedule:',
+    "    - cron: '30 1 * * 1-5' # 平日",
+    '    # - cron: "0 12 * * *"',
+    '    - cron: ${{ vars.SYNC_CRON }}',
+    '    - cron: "0 12 * * *"'
+  ].join('\n')), ['30 1 * * 1-5', '0 12 * * *']);
+  assert.deepEqual(queue.findSchedulesOutsideWindows(['0 12 * * *', '0 12 * *', '0 12 32 * *'], NOW), ['0 12 * * *']);
+  assert.deepEqual(new PublishQueue({ dailyLimit: 1, windows: '09:00-12:00', cwd: __dirname }).findWorkflowSchedulesOutsideWindows(NOW), { crons: [], outside: [] });
+});
+
+test('rejects invalid queue settings', () => {
+  assert.throws(() => new PublishQueue({ dailyLimit: '0' }), /PUBLISH_DAILY_LIMIT must be a positive integer/);
+  assert.throws(() => new PublishQueue({ windows: '21:00-09:00' }), /Invalid time window in PUBLISH_WINDOWS: 21:00-09:00/);
+  assert.throws(() => new PublishQueue({ timeZone: 'Mars/Olympus' }), /Unknown time zone in PUBLISH_TIMEZONE/);
+  assert.throws(() => new PublishQueue({ categoryPriority: 'news' }), /Invalid category priority/);
+  assert.equal(new PublishQueue().enabled, false);
+});
+
+test('creates only as many new items per day as the limit and keeps the rest queued', async t => {
+  const { server, cwd, createSync } = await setup(t);
+
+  const first = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(first.exitCode, 0);
+  assert.equal(server.requestsTo('qiita', 'POST', '/items').length, 2);
+  const history = readHistory(cwd);
+  assert.deepEqual(history.publishQueue.entries.map(entry => entry.articleId), ['chatgpt-api']);
+  // キューに残った記事があっても差分取得の起点は進める
+  assert.ok(history.lastSyncTime);
+  const report = JSON.parse(fs.readFileSync(path.join(cwd, 'sync-report.json'), 'utf8'));
+  assert.deepEqual(report.summary, { create: 2, queued: 1 });
+
+  // 同じ日のうちは上限に達しているため投稿しないが、既存の記事の更新はキューを通さない
+  const contents = server.contents.articles;
+  contents[0] = { ...contents[0], content: '<p>書き直した本文</p>', updatedAt: new Date(Date.now() + 1000).toISOString() };
+  const second = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(second.exitCode, 0);
+  assert.equal(server.requestsTo('qiita', 'POST', '/items').length, 2);
+  assert.equal(server.requestsTo('qiita', 'PATCH').length, 1);
+
+  // 翌日になれば、差分取得の対象外になった記事もキューから投稿する
+  const nextDay = readHistory(cwd);
+  nextDay.publishQueue.published = { '2000-01-01': Object.values(nextDay.publishQueue.published)[0] };
+  fs.writeFileSync(path.join(cwd, 'sync-history.json'), JSON.stringify(nextDay));
+  const third = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(third.exitCode, 0);
+  assert.deepEqual(server.requestsTo('qiita', 'POST', '/items').map(request => request.body.title).slice(2), ['ChatGPT APIで要約を作る']);
+  const finalHistory = readHistory(cwd);
+  assert.deepEqual(finalHistory.publishQueue.entries, []);
+  assert.ok(finalHistory.lastSyncTime >= nextDay.lastSyncTime);
+});
+
+test('publishes articles given with --only right away and counts them against the limit', async t => {
+  const { server, cwd, createSync } = await setup(t, { PUBLISH_DAILY_LIMIT: '1' });
+
+  await createSync().syncArticles({ only: ['chatgpt-api'] });
+  const result = await createSync().syncArticles();
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(server.requestsTo('qiita', 'POST', '/items').map(request => request.body.title), ['ChatGPT APIで要約を作る']);
+  assert.deepEqual(readHistory(cwd).publishQueue.entries.map(entry => entry.articleId), ['getting-started', 'nextjs-tips']);
+});
+
+test('publishes the next queued article when the first one keeps failing', async t => {
+  const { server, cwd, createSync } = await setup(t, { PUBLISH_DAILY_LIMIT: '1' });
+  server.fail({ service: 'qiita', method: 'POST', path: '/items', status: 422, body: { message: 'Tags is invalid', type: 'invalid_tag' }, times: 1 });
+
+  const first = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(first.exitCode, 1);
+  const failed = readHistory(cwd).publishQueue.entries;
+  assert.deepEqual(failed.map(entry => entry.articleId), ['nextjs-tips', 'chatgpt-api', 'getting-started']);
+  assert.equal(failed[2].failures, 1);
+
+  // 失敗した記事は今日の投稿数に数えず、次の記事が投稿される
+  const second = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(second.exitCode, 0);
+  assert.deepEqual(server.requestsTo('qiita', 'POST', '/items').map(request => request.body.title), [
+    'microCMSとQiitaの同期をはじめる',
+    'Next.jsで記事一覧を作る'
+  ]);
+  assert.deepEqual(readHistory(cwd).publishQueue.entries.map(entry => entry.articleId), ['chatgpt-api', 'getting-started']);
+});
+
+test('warns when the scheduled runs never fall inside the time windows', async t => {
+  const { cwd, createSync } = await setup(t, { PUBLISH_WINDOWS: '18:00-21:00' });
+  fs.mkdirSync(path.join(cwd, '.github', 'workflows'), { recursive: true });
+  fs.writeFileSync(path.join(cwd, '.github', 'workflows', 'sync-to-qiita.yml'), "on:\n  schedule:\n    - cron: '0 0 * * *'\n");
+
+  await createSync().syncArticles({ incremental: true });
+
+  assert.match(logs.output, /PUBLISH_WINDOWS \(18:00-21:00, Asia\/Tokyo\) never includes the scheduled runs \(cron: 0 0 \* \* \*\)/);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const QiitaClient = require('../scripts/utils/qiita-client');
+const { captureLogs } = require('./helpers/workspace');
+
+captureLogs({ level: 'quiet' });
+
+// statuses の順にエラーを返し、尽きたら 200 を返すHTTPクライアント
+// createdOnError: エラーを返したPOSTでも記事を作成したことにする（作成済みの記事の確認に使う）
+function createClient(statuses, options = {}) {
+  const calls = [];
+  const items = [];
+  const http = {
+    async request(config) {
+      calls.push(config.method);
+      if (config.url.includes('/authenticated_user/items')) {
+        return { status: 200, headers: {}, data: [...items].reverse() };
+      }
+
+      const status = statuses.shift();
+      const item = { id: `item${items.length + 1}`, ...config.data, created_at: new Date().toISOString() };
+      if (config.method === 'post' && (!status || options.createdOnError)) {
+        items.push(item);
+      }
+      if (status) {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = { status, headers: {}, data: {} };
+        throw error;
+      }
+      return { status: 200, headers: {}, data: item };
+    }
+  };
+  const client = new QiitaClient({ accessToken: 'token', http, baseDelayMs: 0, minIntervalMs: 0 });
+
+  return { client, calls, items };
+}
+
+test('retries a POST that failed with a server error only when no item was created', async () => {
+  const notCreated = createClient([502]);
+  assert.equal((await notCreated.client.createItem({ title: 'a', body: 'body' })).id, 'item1');
+  assert.deepEqual(notCreated.calls, ['post', 'get', 'post']);
+  assert.equal(notCreated.items.length, 1);
+
+  const created = createClient([502], { createdOnError: true });
+  assert.equal((await created.client.createItem({ title: 'a', body: 'body' })).id, 'item1');
+  assert.deepEqual(created.calls, ['post', 'get']);
+  assert.equal(created.items.length, 1);
+});
+
+test('does not retry a POST when it cannot check for a created item', async () => {
+  const { client, calls } = createClient([502]);
+  client.findCreatedItem = async () => {
+    throw new Error('lookup failed');
+  };
+
+  await assert.rejects(client.createItem({ title: 'a', body: 'body' }), /status code 502/);
+  assert.deepEqual(calls, ['post']);
+});
+
+test('retries a POST on 429 and idempotent requests on server errors', async () => {
+  const post = createClient([429]);
+  assert.equal((await post.client.createItem({ title: 'a', body: 'body' })).id, 'item1');
+  assert.deepEqual(post.calls, ['post', 'post']);
+
+  const patch = createClient([500, 503]);
+  assert.equal((await patch.client.updateItem('abc', { title: 'a' })).title, 'a');
+  assert.equal(patch.calls.length, 3);
+});
@@ -0,0 +1,185 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MicroCMSQiitaSync = require('../scripts/sync-microcms-to-qiita');
+const { FakeServer } = require('./helpers/fake-server');
+const { createWorkspace, loadFixture, captureLogs } = require('./helpers/workspace');
+
+const logs = captureLogs({ level: 'quiet' });
+
+// 記録済みのmicroCMSの一覧レスポンスを返す偽サーバーと、同期履歴を書き出す一時ディレクトリを用意する
+async function setup(t) {
+  const server = await new FakeServer().start();
+  t.after(() => server.stop());
+  server.setContents('articles', loadFixture('microcms', 'articles.json').contents);
+
+  const cwd = createWorkspace(t);
+  const createSync = () => new MicroCMSQiitaSync({ env: server.env, cwd });
+
+  return { server, cwd, createSync };
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+test('throws when required settings are missing', () => {
+  assert.throws(
+    () => new MicroCMSQiitaSync({ env: { MICROCMS_DOMAIN: 'example' } }),
+    /Missing required environment variables: MICROCMS_API_KEY, QIITA_ACCESS_TOKEN/
+  );
+});
+
+test('creates a Qiita item for each published article and records it in the history', async t => {
+  const { server, cwd, createSync } = await setup(t);
+
+  const result = await createSync().syncArticles();
+
+  assert.equal(result.exitCode, 0);
+  const created = server.requestsTo('qiita', 'POST', '/items');
+  assert.deepEqual(created.map(request => request.body.title), [
+    'microCMSとQiitaの同期をはじめる',
+    'Next.jsで記事一覧を作る',
+    'ChatGPT APIで要約を作る'
+  ]);
+  assert.deepEqual(created[1].body.tags.map(tag => tag.name), ['Next.js', 'TypeScript']);
+  assert.match(created[0].body.body, /\[microCMSとQiitaの同期をはじめる\]\(https:\/\/blog\.example\.com\/articles\/getting-started\)/);
+  assert.match(created[0].body.body, /```bash\nnpm run sync\n```/);
+  assert.equal(created[0].headers.authorization, `Bearer ${server.env.QIITA_ACCESS_TOKEN}`);
+
+  const history = readJson(path.join(cwd, 'sync-history.json'));
+  assert.deepEqual(Object.keys(history.articles).sort(), ['chatgpt-api', 'getting-started', 'nextjs-tips']);
+  assert.equal(history.articles['getting-started'].qiitaId, 'fake0000000000000001');
+  assert.ok(history.lastSyncTime);
+  assert.equal(history.runInProgress, undefined);
+
+  const report = readJson(path.join(cwd, 'sync-report.json'));
+  assert.equal(report.status, 'success');
+  assert.deepEqual(report.summary, { create: 3 });
+});
+
+test('skips articles that have not changed since the last sync', async t => {
+  const { server, createSync } = await setup(t);
+  await createSync().syncArticles();
+  const requestCount = server.requests.length;
+
+  const result = await createSync().syncArticles();
+
+  assert.equal(result.exitCode, 0);
+  const sent = server.requests.slice(requestCount)
+    .filter(request => request.service === 'qiita' && request.method !== 'GET');
+  assert.deepEqual(sent, []);
+});
+
+test('updates only the article that changed in microCMS', async t => {
+  const { server, cwd, createSync } = await setup(t);
+  await createSync().syncArticles({ incremental: true });
+  const requestCount = server.requests.length;
+
+  const contents = server.contents.articles;
+  contents[1] = {
+    ...contents[1],
+    content: '<p>App Routerで記事一覧と詳細を表示します。</p>',
+    updatedAt: new Date(Date.now() + 1000).toISOString()
+  };
+  const result = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(result.exitCode, 0);
+  const listRequest = server.requests.slice(requestCount).find(request => request.service === 'microcms');
+  assert.match(listRequest.query.filters, /^updatedAt\[greater_than\]/);
+
+  const sent = server.requests.slice(requestCount)
+    .filter(request => request.service === 'qiita' && request.method !== 'GET');
+  assert.deepEqual(sent.map(request => `${request.method} ${request.path}`), ['PATCH /items/fake0000000000000002']);
+  assert.match(server.items.get('fake0000000000000002').body, /記事一覧と詳細を表示します/);
+
+  const report = readJson(path.join(cwd, 'sync-report.json'));
+  assert.deepEqual(report.summary, { update: 1 });
+});
+
+test('holds articles whose qiitaSync field is off', async t => {
+  const { server, cwd, createSync } = await setup(t);
+  server.contents.articles[2].qiitaSync = false;
+
+  const result = await createSync().syncArticles();
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(server.requestsTo('qiita', 'POST', '/items').length, 2);
+  const report = readJson(path.join(cwd, 'sync-report.json'));
+  assert.deepEqual(report.summary, { create: 2, hold: 1 });
+});
+
+test('syncs articles whose category name contains whitespace with a hyphenated tag', async t => {
+  const { server, createSync } = await setup(t);
+  server.contents.articles[0].category.name = 'Machine Learning';
+
+  const result = await createSync().syncArticles();
+
+  assert.equal(result.exitCode, 0);
+  const [created] = server.requestsTo('qiita', 'POST', '/items');
+  assert.deepEqual(created.body.tags.map(tag => tag.name), ['Machine-Learning', 'Node.js', 'microCMS']);
+});
+
+test('keeps going after a rejected article and retries it on the next run', async t => {
+  const { server, cwd, createSync } = await setup(t);
+  server.fail({ service: 'qiita', method: 'POST', path: '/items', status: 422, body: { message: 'Tags is invalid', type: 'invalid_tag' }, times: 1 });
+
+  const result = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(result.exitCode, 1);
+  assert.match(logs.output, /Error processing article microCMSとQiitaの同期をはじめる: HTTP 422: Tags is invalid/);
+  const history = readJson(path.join(cwd, 'sync-history.json'));
+  assert.deepEqual(Object.keys(history.articles).sort(), ['chatgpt-api', 'nextjs-tips']);
+  // 失敗した記事が次回の差分取得に含まれるよう、起点は進めない
+  assert.equal(history.lastSyncTime, null);
+
+  const report = readJson(path.join(cwd, 'sync-report.json'));
+  assert.equal(report.status, 'failed');
+  assert.equal(report.failures, 1);
+  const failure = report.articles.find(entry => entry.action === 'error');
+  assert.equal(failure.id, 'getting-started');
+  assert.equal(failure.errorCategory, 'rejected');
+
+  const retry = await createSync().syncArticles({ incremental: true });
+
+  assert.equal(retry.exitCode, 0);
+  assert.equal(server.requestsTo('qiita', 'POST', '/items').length, 4);
+  assert.equal(server.items.size, 3);
+  assert.ok(readJson(path.join(cwd, 'sync-history.json')).articles['getting-started'].qiitaId);
+});
+
+test('recovers items that were created but not recorded when the previous run did not finish', async t => {
+  const { server, cwd, createSync } = await setup(t);
+  const sync = createSync();
+  await sync.syncArticles();
+
+  // 投稿後、履歴を保存する前に異常終了した状態にする
+  const history = sync.loadSyncHistory();
+  const lostQiitaId = history.articles['nextjs-tips'].qiitaId;
+  delete history.articles['nextjs-tips'];
+  history.runInProgress = new Date().toISOString();
+  sync.saveSyncHistory(history, { quiet: true });
+  const postCount = server.requestsTo('qiita', 'POST', '/items').length;
+
+  const result = await createSync().syncArticles();
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(server.requestsTo('qiita', 'POST', '/items').length, postCount);
+  const recovered = readJson(path.join(cwd, 'sync-history.json'));
+  assert.equal(recovered.articles['nextjs-tips'].qiitaId, lostQiitaId);
+  assert.ok(recovered.articles['nextjs-tips'].recoveredAt);
+  assert.equal(recovered.runInProgress, undefined);
+});
+
+test('does not send anything or write the history in a dry run', async t => {
+  const { server, cwd, createSync } = await setup(t);
+
+  const result = await createSync().syncArticles({ dryRun: true, outputDir: 'preview' });
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(server.requestsTo('qiita', 'POST'), []);
+  assert.equal(fs.existsSync(path.join(cwd, 'sync-history.json')), false);
+  assert.deepEqual(result.plan.map(entry => entry.action), ['create', 'create', 'create']);
+  assert.ok(fs.existsSync(path.join(cwd, 'preview', 'plan.json')));
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const MicroCMSQiitaSync = require('../scripts/sync-microcms-to-qiita');
+const WebhookServer = require('../scripts/webhook-server');
+const { FakeServer } = require('./helpers/fake-server');
+const { createWorkspace, loadFixture, captureLogs } = require('./helpers/workspace');
+
+captureLogs({ level: 'quiet' });
+
+const SECRET = 'test-webhook-secret';
+
+// 偽サーバーに同期するWebhookサーバーを起動する
+async function setup(t, options = {}) {
+  const server = await new FakeServer().start();
+  t.after(() => server.stop());
+  const contents = loadFixture('microcms', 'articles.json').contents;
+  server.setContents('articles', contents);
+
+  const cwd = createWorkspace(t);
+  const webhookServer = new WebhookServer({
+    sync: new MicroCMSQiitaSync({ env: server.env, cwd }),
+    secret: SECRET,
+    debounceMs: 20,
+    ...options
+  });
+  const { port } = await webhookServer.listen(0);
+
+  return { server, webhookServer, contents, url: `http://127.0.0.1:${port}/webhook` };
+}
+
+// microCMSと同じ形式の本文（publishValue が null の場合は非公開）
+function createEvent(content, options = {}) {
+  const { id = content.id, type = 'edit', published = true } = options;
+  return {
+    service: 'example',
+    api: 'articles',
+    id: id,
+    type: type,
+    contents: {
+      old: null,
+      new: type === 'delete' ? null : {
+        id: id,
+        status: [published ? 'PUBLISH' : 'CLOSED'],
+        publishValue: published ? content : null
+      }
+    }
+  };
+}
+
+function sign(body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function post(url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks).toString('utf8') }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function postEvent(url, event, secret = SECRET) {
+  const body = JSON.stringify(event);
+  return post(url, body, { 'X-MICROCMS-Signature': sign(body, secret) });
+}
+
+test('accepts signed webhooks and rejects wrong or missing signatures', async t => {
+  const { server, webhookServer, contents, url } = await setup(t);
+  const body = JSON.stringify(createEvent(contents[0]));
+
+  assert.equal((await post(url, body)).status, 401);
+  assert.equal((await post(url, body, { 'X-MICROCMS-Signature': sign(body, 'other-secret') })).status, 401);
+  assert.equal((await post(url, body, { 'X-MICROCMS-Signature': 'not-hex' })).status, 401);
+  assert.equal((await post(url, body, { 'X-MICROCMS-Signature': sign(body) })).status, 202);
+
+  await webhookServer.close();
+  assert.deepEqual(server.requestsTo('qiita', 'POST', '/items').map(request => request.body.title), ['microCMSとQiitaの同期をはじめる']);
+});
+
+test('syncs only the last of several saves of the same content', async t => {
+  const { server, webhookServer, contents, url } = await setup(t, { debounceMs: 200 });
+
+  await postEvent(url, createEvent({ ...contents[0], title: '1回目の保存' }));
+  await postEvent(url, createEvent({ ...contents[0], title: '2回目の保存' }));
+  await postEvent(url, createEvent(contents[1]));
+
+  await webhookServer.close();
+  assert.deepEqual(server.requestsTo('qiita', 'POST', '/items').map(request => request.body.title), [
+    '2回目の保存',
+    'Next.jsで記事一覧を作る'
+  ]);
+});
+
+test('handles unpublished and deleted content with the orphan policy', async t => {
+  const { server, webhookServer, contents, url } = await setup(t, { syncOptions: { orphanPolicy: 'delete' } });
+
+  await postEvent(url, createEvent(contents[0]));
+  await postEvent(url, createEvent(contents[1]));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await webhookServer.queue;
+
+  await postEvent(url, createEvent(contents[0], { published: false }));
+  await postEvent(url, createEvent(contents[1], { type: 'delete' }));
+  await webhookServer.close();
+
+  assert.deepEqual(server.requestsTo('qiita', 'DELETE').map(request => request.path).sort(), [
+    '/items/fake0000000000000001',
+    '/items/fake0000000000000002'
+  ]);
+});
+
+test('answers 413 to bodies over the size limit without syncing', async t => {
+  const { server, webhookServer, url } = await setup(t, { maxBodyBytes: 1024 });
+  const body = JSON.stringify({ api: 'articles', id: 'large', padding: 'x'.repeat(64 * 1024) });
+
+  const response = await post(url, body, { 'X-MICROCMS-Signature': sign(body) });
+
+  assert.equal(response.status, 413);
+  assert.equal(response.headers.connection, 'close');
+  assert.deepEqual(JSON.parse(response.body), { error: 'Payload too large' });
+  await webhookServer.close();
+  assert.equal(server.requestsTo('qiita').length, 0);
+});